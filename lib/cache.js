@@ -0,0 +1,130 @@
+/**
+ * Local on-disk cache for archive responses (CACHE_DIR, default ./data/cache).
+ * - snapshots/: raw snapshot bodies + response headers. Archived captures are
+ *   immutable, so entries never expire. Content-addressed by CDX digest when
+ *   known (identical captures share one file), else by hash of timestamp+URL.
+ * - cdx/: CDX query responses, valid for CDX_CACHE_TTL seconds (default 1 day).
+ *   An expired entry is still served when the archive can't be reached, so a
+ *   previous batch can be re-processed offline.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CACHE_DIR = path.join(__dirname, "..", "data", "cache");
+export const DEFAULT_CDX_TTL_MS = 24 * 60 * 60 * 1000;
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+// Two-level fan-out keeps directories small on big batches.
+function entryPath(root, key, ext) {
+  return path.join(root, key.slice(0, 2), `${key}${ext}`);
+}
+
+function writeAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function dirStats(root) {
+  let files = 0;
+  let bytes = 0;
+  if (!fs.existsSync(root)) return { files, bytes };
+  for (const sub of fs.readdirSync(root)) {
+    const subDir = path.join(root, sub);
+    if (!fs.statSync(subDir).isDirectory()) continue;
+    for (const f of fs.readdirSync(subDir)) {
+      files++;
+      bytes += fs.statSync(path.join(subDir, f)).size;
+    }
+  }
+  return { files, bytes };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir]
+ * @param {number} [options.cdxTtlMs]
+ */
+export function createCache({
+  dir = process.env.CACHE_DIR || DEFAULT_CACHE_DIR,
+  cdxTtlMs = process.env.CDX_CACHE_TTL ? Number(process.env.CDX_CACHE_TTL) * 1000 : DEFAULT_CDX_TTL_MS,
+} = {}) {
+  const snapshotsDir = path.join(dir, "snapshots");
+  const cdxDir = path.join(dir, "cdx");
+
+  return {
+    dir,
+
+    /** Key of a snapshot: its digest, or a hash of its id_ URL. */
+    snapshotKey(snapUrl, digest) {
+      return digest ? `d-${digest.replace(/[^A-Za-z0-9]/g, "")}` : `u-${sha1(snapUrl)}`;
+    },
+
+    /** @returns {{body: Buffer, status: number, headers: object}|null} */
+    getSnapshot(key) {
+      const bodyFile = entryPath(snapshotsDir, key, ".body");
+      const metaFile = entryPath(snapshotsDir, key, ".json");
+      if (!fs.existsSync(bodyFile) || !fs.existsSync(metaFile)) return null;
+      const meta = JSON.parse(fs.readFileSync(metaFile, "utf8"));
+      return { ...meta, body: fs.readFileSync(bodyFile) };
+    },
+
+    setSnapshot(key, { body, status, headers, url }) {
+      writeAtomic(entryPath(snapshotsDir, key, ".body"), body);
+      // Meta last: an entry only counts once both files exist
+      writeAtomic(entryPath(snapshotsDir, key, ".json"), JSON.stringify({ url, status, headers }));
+    },
+
+    /**
+     * Cached CDX response for a query URL.
+     * @param {string} url
+     * @param {object} [options]
+     * @param {boolean} [options.allowStale=false] ignore the TTL
+     * @returns {any|null} parsed JSON
+     */
+    getCdx(url, { allowStale = false } = {}) {
+      const file = entryPath(cdxDir, sha1(url), ".json");
+      if (!fs.existsSync(file)) return null;
+      const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!allowStale && Date.now() - entry.fetched_at > cdxTtlMs) return null;
+      return entry.body;
+    },
+
+    setCdx(url, body) {
+      writeAtomic(entryPath(cdxDir, sha1(url), ".json"), JSON.stringify({ url, fetched_at: Date.now(), body }));
+    },
+
+    /**
+     * Delete cached entries.
+     * @param {object} [options]
+     * @param {boolean} [options.cdx=true]
+     * @param {boolean} [options.snapshots=true]
+     */
+    purge({ cdx = true, snapshots = true } = {}) {
+      if (cdx) fs.rmSync(cdxDir, { recursive: true, force: true });
+      if (snapshots) fs.rmSync(snapshotsDir, { recursive: true, force: true });
+    },
+
+    stats() {
+      const snaps = dirStats(snapshotsDir);
+      return {
+        dir,
+        cdx_ttl_seconds: Math.round(cdxTtlMs / 1000),
+        cdx: dirStats(cdxDir),
+        // body + meta per snapshot
+        snapshots: { files: Math.floor(snaps.files / 2), bytes: snaps.bytes },
+      };
+    },
+  };
+}
+
+export const defaultCache = createCache();
@@ -0,0 +1,106 @@
+/**
+ * Charset sniffing and decoding of archived HTML.
+ * Old captures are often Windows-1251, Shift_JIS or ISO-8859-1: decoding them
+ * as UTF-8 turns titles into mojibake and keyword rules stop matching.
+ * Order, as browsers do: byte order mark, HTTP Content-Type (the archived one
+ * when the archive exposes it), <meta charset> / http-equiv in the first bytes,
+ * then valid UTF-8 or Windows-1252.
+ */
+
+// Bytes scanned for a <meta> charset declaration
+const META_SCAN_BYTES = 4096;
+
+const BOMS = [
+  [[0xef, 0xbb, 0xbf], "utf-8"],
+  [[0xff, 0xfe], "utf-16le"],
+  [[0xfe, 0xff], "utf-16be"],
+];
+
+// Labels browsers treat as their superset
+const ALIASES = {
+  "iso-8859-1": "windows-1252",
+  "latin1": "windows-1252",
+  "us-ascii": "windows-1252",
+  "ascii": "windows-1252",
+  "x-sjis": "shift_jis",
+  "sjis": "shift_jis",
+  "gb2312": "gbk",
+  "utf8": "utf-8",
+};
+
+/**
+ * Normalized label of a charset TextDecoder supports, or null.
+ * @param {string} label
+ * @returns {string|null}
+ */
+export function normalizeCharset(label) {
+  const name = String(label || "").trim().toLowerCase().replace(/^["']|["']$/g, "");
+  if (!name) return null;
+  const charset = ALIASES[name] || name;
+  try {
+    new TextDecoder(charset);
+    return charset;
+  } catch {
+    return null;
+  }
+}
+
+function charsetOfContentType(value) {
+  const m = /charset\s*=\s*["']?([\w.:-]+)/i.exec(value || "");
+  return m ? normalizeCharset(m[1]) : null;
+}
+
+function metaCharset(head) {
+  const direct = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head);
+  return direct ? normalizeCharset(direct[1]) : null;
+}
+
+function isValidUtf8(body) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(body);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Charset of an HTML body.
+ * @param {Buffer} body
+ * @param {object} [headers] lower-cased HTTP response headers
+ * @returns {{charset: string, source: "bom"|"header"|"meta"|"sniffed"}}
+ */
+export function sniffCharset(body, headers = {}) {
+  for (const [bytes, charset] of BOMS) {
+    if (bytes.every((b, i) => body[i] === b)) return { charset, source: "bom" };
+  }
+
+  const fromHeader = charsetOfContentType(headers["x-archive-orig-content-type"] || headers["content-type"]);
+  // <meta charset> / http-equiv in the first bytes, read as ASCII; a UTF-16
+  // declaration in a byte stream we could read as ASCII is wrong
+  const fromMeta = metaCharset(body.subarray(0, META_SCAN_BYTES).toString("latin1"));
+  const declared = fromHeader
+    ? { charset: fromHeader, source: "header" }
+    : fromMeta && !fromMeta.startsWith("utf-16")
+      ? { charset: fromMeta, source: "meta" }
+      : null;
+
+  const utf8 = isValidUtf8(body);
+  // Servers and CMSes defaulting to ISO-8859-1 for UTF-8 pages are common:
+  // non-ASCII bytes that form valid UTF-8 are almost never Latin-1 text
+  if (declared && !(declared.charset === "windows-1252" && utf8 && body.some((b) => b >= 0x80))) return declared;
+  return { charset: utf8 ? "utf-8" : "windows-1252", source: "sniffed" };
+}
+
+/**
+ * Decode an HTML body with its sniffed charset.
+ * @param {Buffer} body
+ * @param {object} [headers]
+ * @returns {{html: string, charset: string, charset_source: string}}
+ */
+export function decodeHtml(body, headers = {}) {
+  const { charset, source } = sniffCharset(body, headers);
+  // TextDecoder strips the BOM itself
+  const html = new TextDecoder(charset).decode(body);
+  return { html, charset, charset_source: source };
+}
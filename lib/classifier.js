@@ -0,0 +1,102 @@
+/**
+ * LLM content classification of snapshots.
+ * The category list and prompt template come from a JSON config file
+ * (default: rules/classifier.json, override with CLASSIFIER_CONFIG or
+ * loadClassifierConfig(path)); the model call goes through a provider from
+ * lib/providers (Perplexity, any OpenAI-compatible server such as Ollama).
+ *
+ * Prompt placeholders: {{title}}, {{description}}, {{domain}}, {{categories}}.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { sleep } from "./wayback.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CLASSIFIER_CONFIG = path.join(__dirname, "..", "rules", "classifier.json");
+
+const cache = new Map();
+
+/**
+ * Load a classifier config (cached per path).
+ * @param {string} [file]
+ * @returns {{file: string, categories: Array<{name, description, spam}>, fallbackCategory: string, prompt: string}}
+ */
+export function loadClassifierConfig(file = process.env.CLASSIFIER_CONFIG || DEFAULT_CLASSIFIER_CONFIG) {
+  const resolved = path.resolve(file);
+  if (cache.has(resolved)) return cache.get(resolved);
+
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  if (!Array.isArray(raw.categories) || !raw.categories.length) {
+    throw new Error(`${resolved}: "categories" must be a non-empty array`);
+  }
+  const config = {
+    file: resolved,
+    categories: raw.categories.map((c) => (typeof c === "string" ? { name: c, description: "", spam: false } : c)),
+    fallbackCategory: raw.fallbackCategory || "Spam/Suspect",
+    // Arrays of lines are accepted to keep long templates readable in JSON
+    prompt: Array.isArray(raw.prompt) ? raw.prompt.join("\n") : String(raw.prompt || ""),
+  };
+  if (!config.prompt) throw new Error(`${resolved}: "prompt" is required`);
+  cache.set(resolved, config);
+  return config;
+}
+
+export function buildPrompt(config, { title, description, domain }) {
+  const categories = config.categories
+    .map((c) => (c.description ? `- ${c.name}: ${c.description}` : `- ${c.name}`))
+    .join("\n");
+  const values = { title, description: description || "N/A", domain, categories };
+  return config.prompt.replace(/\{\{(\w+)\}\}/g, (m, key) => (key in values ? String(values[key] ?? "") : m));
+}
+
+/**
+ * Ask the provider for the category of one page.
+ * Answers outside the configured list map to the fallback category; provider
+ * errors are logged and return null so a batch never fails on the LLM.
+ * @returns {Promise<{category: string, spam: boolean} | null>}
+ */
+export async function classifyContent(provider, { title, description, domain }, config = loadClassifierConfig()) {
+  if (!title) return null;
+  try {
+    const answer = await provider.complete(buildPrompt(config, { title, description, domain }), {
+      temperature: 0.1,
+      maxTokens: 50,
+    });
+    const known = config.categories.find((c) => c.name === answer);
+    if (known) return { category: known.name, spam: Boolean(known.spam) };
+    return { category: config.fallbackCategory, spam: true };
+  } catch (error) {
+    console.error(`${provider.name} analysis error:`, error.message || error);
+    return null;
+  }
+}
+
+/**
+ * Classify every snapshot with a title, parking pages excepted; sets
+ * `category` and `category_spam` (read by lib/spam.js) on each one.
+ * @param {{domain: string, snapshots: object[]}} result
+ * @param {object} provider from createProvider()
+ * @param {object} [options]
+ * @param {object} [options.config]     from loadClassifierConfig()
+ * @param {number} [options.delayMs=500] pause between LLM calls
+ */
+export async function analyzeSnapshots(result, provider, { config = loadClassifierConfig(), delayMs = 500 } = {}) {
+  for (const snapshot of result.snapshots) {
+    if (!snapshot.title || snapshot.parking) continue;
+    const verdict = await classifyContent(
+      provider,
+      { title: snapshot.title, description: snapshot.description, domain: result.domain },
+      config
+    );
+    if (verdict) {
+      snapshot.category = verdict.category;
+      snapshot.category_spam = verdict.spam;
+    }
+    // Small delay between AI calls
+    await sleep(delayMs);
+  }
+  return result;
+}
@@ -0,0 +1,153 @@
+/**
+ * Batch footprint clustering: which domains of a batch share an operator.
+ * Two domains end up in the same cluster when their snapshots share at least
+ * one footprint:
+ *   title     : same page title (generic titles ignored)
+ *   digest    : byte-identical capture
+ *   analytics : Google Analytics account (UA-123456, properties merged) or GA4 ID
+ *   gtm       : Google Tag Manager container
+ *   adsense   : AdSense publisher ID
+ *   theme     : same CMS theme and generator (default themes ignored)
+ *   outbound  : same outbound link target (see links.js for ignored domains)
+ * Clusters are connected components: A-B on a GA ID and B-C on a link target
+ * put A, B and C together, each footprint listing the domains it joins.
+ */
+
+import { outboundTargets } from "./links.js";
+
+export const FOOTPRINT_TYPES = ["title", "digest", "analytics", "gtm", "adsense", "theme", "outbound"];
+
+// Titles of server defaults, parking and error pages: shared by unrelated domains
+const GENERIC_TITLES = new Set([
+  "index of /",
+  "home",
+  "accueil",
+  "welcome",
+  "bienvenue",
+  "welcome to nginx!",
+  "apache2 ubuntu default page: it works",
+  "it works!",
+  "test page for the apache http server",
+  "iis windows server",
+  "coming soon",
+  "under construction",
+  "site en construction",
+  "site en maintenance",
+  "maintenance",
+  "account suspended",
+  "domain for sale",
+  "this domain is for sale",
+  "domain name for sale",
+  "parked domain",
+  "404 not found",
+  "403 forbidden",
+  "page not found",
+  "default web site page",
+  "just another wordpress site",
+]);
+
+const MIN_TITLE_LENGTH = 8;
+
+// Themes bundled with the CMS say nothing about the operator
+const DEFAULT_THEMES = /^(wordpress:twenty|joomla:(protostar|cassiopeia|beez\d*|atomic|rhuk_milkyway)$)/;
+
+// Outbound targets linked by more than this share of a batch (of 10+ domains)
+// are popular sites, not a network's money site
+const MAX_OUTBOUND_SHARE = 0.5;
+
+function normalizeTitle(title) {
+  return String(title || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function trackingFootprint(id) {
+  if (id.startsWith("UA-")) return ["analytics", id.replace(/-\d+$/, "")];
+  if (id.startsWith("G-")) return ["analytics", id];
+  if (id.startsWith("GTM-")) return ["gtm", id];
+  return ["adsense", id];
+}
+
+/** Footprints of one domain result, as "type\tvalue" keys. */
+function footprintsOf(result) {
+  const keys = new Set();
+  const add = (type, value) => value && keys.add(`${type}\t${value}`);
+  for (const snap of result.snapshots || []) {
+    // Parking pages share titles, digests and ad IDs across unrelated owners, and
+    // so do redirect/error captures ("301 Moved Permanently", empty-body digest)
+    if (snap.error || snap.parking) continue;
+    if (snap.status && !/^2/.test(String(snap.status))) continue;
+    const title = normalizeTitle(snap.title);
+    if (title.length >= MIN_TITLE_LENGTH && !GENERIC_TITLES.has(title)) add("title", title);
+    add("digest", snap.digest);
+    for (const id of snap.tracking_ids || []) add(...trackingFootprint(id));
+    if (snap.theme && !DEFAULT_THEMES.test(snap.theme)) {
+      add("theme", snap.generator ? `${snap.theme} ${snap.generator}` : snap.theme);
+    }
+  }
+  for (const target of outboundTargets(result.domain, result.snapshots || [])) add("outbound", target);
+  return keys;
+}
+
+/**
+ * Group the domains of a batch that share footprints.
+ * @param {Array<{domain: string, snapshots: object[]}>} results domain results
+ * @returns {{domains: number, clustered: number,
+ *   clusters: Array<{id: number, domains: string[], footprints: Array<{type, value, domains: string[]}>}>}}
+ */
+export function clusterDomains(results) {
+  const domains = [...new Set(results.map((r) => r.domain))];
+
+  // footprint key -> domains
+  const owners = new Map();
+  for (const result of results) {
+    for (const key of footprintsOf(result)) {
+      if (!owners.has(key)) owners.set(key, new Set());
+      owners.get(key).add(result.domain);
+    }
+  }
+
+  const shared = [...owners].filter(([key, set]) => {
+    if (set.size < 2) return false;
+    if (key.startsWith("outbound\t") && domains.length >= 10) return set.size <= domains.length * MAX_OUTBOUND_SHARE;
+    return true;
+  });
+
+  // Union-find over domains
+  const parent = new Map(domains.map((d) => [d, d]));
+  const find = (d) => {
+    while (parent.get(d) !== d) {
+      parent.set(d, parent.get(parent.get(d)));
+      d = parent.get(d);
+    }
+    return d;
+  };
+  for (const [, set] of shared) {
+    const [first, ...rest] = set;
+    for (const d of rest) parent.set(find(d), find(first));
+  }
+
+  const groups = new Map();
+  for (const [key, set] of shared) {
+    const root = find(set.values().next().value);
+    if (!groups.has(root)) groups.set(root, { domains: new Set(), footprints: [] });
+    const group = groups.get(root);
+    const [type, value] = key.split("\t");
+    for (const d of set) group.domains.add(d);
+    group.footprints.push({ type, value, domains: [...set].sort() });
+  }
+
+  const clusters = [...groups.values()]
+    .map((g) => ({
+      domains: [...g.domains].sort(),
+      footprints: g.footprints.sort(
+        (a, b) => FOOTPRINT_TYPES.indexOf(a.type) - FOOTPRINT_TYPES.indexOf(b.type) || b.domains.length - a.domains.length
+      ),
+    }))
+    .sort((a, b) => b.domains.length - a.domains.length || b.footprints.length - a.footprints.length)
+    .map((c, i) => ({ id: i + 1, ...c }));
+
+  return {
+    domains: domains.length,
+    clustered: clusters.reduce((sum, c) => sum + c.domains.length, 0),
+    clusters,
+  };
+}
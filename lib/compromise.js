@@ -0,0 +1,239 @@
+/**
+ * Hacked-site detection: spam injected into an otherwise legitimate site.
+ * A small-business site whose captures carry hidden pharma/casino links or a
+ * Japanese keyword hack keeps a clean title and description, so the spam
+ * verdict (spam.js) never sees it. This module looks at the page body:
+ *   hidden_spam       : spam keywords in hidden elements (display:none,
+ *                       visibility:hidden, off-screen positioning, tiny fonts)
+ *   hidden_links      : many external links in hidden elements
+ *   script_mismatch   : text in a writing system the page doesn't declare
+ *                       (lang or single-byte charset) or the site never used
+ *   script_change     : same, after captures without it (Japanese keyword hack)
+ *   spam_anchor_spike : sudden burst of spam-keyword outbound anchors
+ * The result is a separate "compromised" verdict: a domain whose own title
+ * or description is spam is a spam site, not a hacked one.
+ */
+
+import { loadRules } from "./spam.js";
+import { LANGUAGE_SCRIPTS } from "./language.js";
+
+// Weight of each signal; each signal counts once per domain
+const SIGNAL_WEIGHTS = {
+  hidden_spam: 2,
+  hidden_links: 1,
+  script_mismatch: 1,
+  script_change: 2,
+  spam_anchor_spike: 2,
+};
+
+// A domain is reported as compromised from this score on
+export const COMPROMISED_MIN_SCORE = 2;
+
+const MAX_HIDDEN_TEXT = 2000;
+const MAX_HIDDEN_LINKS = 50;
+const MIN_HIDDEN_LINKS = 5;
+const MIN_SPIKE_ANCHORS = 3;
+const MIN_SCRIPT_SHARE = 0.2;
+
+// Inline CSS that hides an element from visitors but not from crawlers
+const HIDING_STYLES = [
+  ["display:none", /display\s*:\s*none/i],
+  ["visibility:hidden", /visibility\s*:\s*hidden/i],
+  ["off-screen", /(?:left|top|right|text-indent|margin-left|margin-top)\s*:\s*-\d{3,}(?:\.\d+)?(?:px|em|pt)?/i],
+  // Invisible sizes only: 0, up to 1px/1pt, under 0.3em/rem (0.85em footers are ordinary text)
+  ["tiny-font", /font-size\s*:\s*(?:0(?:\.0+)?[a-z%]*|(?:0?\.\d+|1(?:\.0+)?)(?:px|pt)|0?\.[0-2]\d*r?em)\s*(?:;|$|!)/i],
+  ["zero-size", /(?:height|width)\s*:\s*[01](?:px)?\s*(?:;|$|!)[^]*overflow\s*:\s*hidden|overflow\s*:\s*hidden[^]*(?:height|width)\s*:\s*[01](?:px)?\s*(?:;|$|!)/i],
+  ["opacity:0", /opacity\s*:\s*0(?:\.0+)?\s*(?:;|$|!)/i],
+];
+
+function hidingStyle(style) {
+  if (!style) return null;
+  const found = HIDING_STYLES.find(([, regex]) => regex.test(style));
+  return found ? found[0] : null;
+}
+
+// ".foo { display: none }" in <style> blocks: single-class selectors only
+function hiddenClasses($) {
+  const classes = new Map();
+  $("style").each((_, el) => {
+    const css = $(el).text();
+    for (const [, selectors, body] of css.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+      const technique = hidingStyle(body);
+      if (!technique) continue;
+      for (const selector of selectors.split(",")) {
+        const m = /^\s*\.([\w-]+)\s*$/.exec(selector);
+        if (m) classes.set(m[1], technique);
+      }
+    }
+  });
+  return classes;
+}
+
+// Accessibility helpers hide text on purpose
+const SCREEN_READER_CLASSES = /(?:^|\s)(?:sr-only|screen-reader-text|visually-hidden|visuallyhidden|skip-link|assistive-text)(?:\s|$)/i;
+
+function hostOf(href, base) {
+  try {
+    const u = new URL(href, base);
+    return /^https?:$/.test(u.protocol) ? u.hostname.toLowerCase().replace(/^www\./, "") : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Text and external links of the elements a visitor can't see. Must run
+ * before <style> blocks are removed from the document.
+ * @param {import("cheerio").CheerioAPI} $
+ * @param {string} [pageUrl]
+ * @returns {{hidden_text: string, hidden_links: Array<{href, domain, anchor, technique}>}}
+ */
+export function findHiddenContent($, pageUrl) {
+  const classes = hiddenClasses($);
+  const own = hostOf(pageUrl || "");
+  const hidden = [];
+  $("body *").each((_, el) => {
+    const $el = $(el);
+    if (SCREEN_READER_CLASSES.test($el.attr("class") || "")) return;
+    let technique = hidingStyle($el.attr("style"));
+    if (!technique) {
+      const cls = ($el.attr("class") || "").split(/\s+/).find((c) => classes.has(c));
+      if (cls) technique = classes.get(cls);
+    }
+    if (technique) hidden.push([el, technique]);
+  });
+
+  // Outermost hidden elements only, their text already covers the nested ones
+  const set = new Set(hidden.map(([el]) => el));
+  const texts = [];
+  const hidden_links = [];
+  for (const [el, technique] of hidden) {
+    if ($(el).parents().toArray().some((p) => set.has(p))) continue;
+    const $el = $(el);
+    if ($el.is("script, style, noscript, template")) continue;
+    texts.push($el.text());
+    $el.find("a[href]").add($el.filter("a[href]")).each((_, a) => {
+      const href = ($(a).attr("href") || "").trim();
+      const domain = hostOf(href, pageUrl);
+      if (!domain || domain === own || domain.endsWith(`.${own}`)) return;
+      if (hidden_links.length < MAX_HIDDEN_LINKS) {
+        hidden_links.push({ href, domain, anchor: $(a).text().replace(/\s+/g, " ").trim().slice(0, 120), technique });
+      }
+    });
+  }
+  const hidden_text = texts.join(" ").replace(/\s+/g, " ").trim().slice(0, MAX_HIDDEN_TEXT);
+  return { hidden_text, hidden_links };
+}
+
+// Single-byte charsets that can't carry CJK, Cyrillic... text
+const LATIN_CHARSETS = /^(?:iso-8859-(?:1|15)|windows-1252|latin-?1|us-ascii|ascii)$/i;
+
+function dominantScript(scripts) {
+  let best = null;
+  for (const [name, share] of Object.entries(scripts || {})) {
+    if (!best || share > best.share) best = { name, share };
+  }
+  return best ? best.name : null;
+}
+
+function scriptMismatch(snap, baseline) {
+  const scripts = snap.scripts || {};
+  const primary = String(snap.lang || "").toLowerCase().split(/[-_]/)[0];
+  const expected = primary ? LANGUAGE_SCRIPTS[primary] || "latin" : baseline;
+  for (const [name, share] of Object.entries(scripts)) {
+    if (!expected || name === expected || share < MIN_SCRIPT_SHARE) continue;
+    if (primary) return `${Math.round(share * 100)}% ${name} text on a page declared lang="${snap.lang}"`;
+    return `${Math.round(share * 100)}% ${name} text on a ${expected} site`;
+  }
+  if (snap.charset && LATIN_CHARSETS.test(snap.charset)) {
+    const foreign = Object.entries(scripts).find(([name, share]) => name !== "latin" && share >= MIN_SCRIPT_SHARE);
+    if (foreign) return `${foreign[0]} text in a page declared charset=${snap.charset}`;
+  }
+  return null;
+}
+
+function spamMatches(rules, text) {
+  if (!text) return [];
+  return rules.filter((r) => r.regex.test(text));
+}
+
+/**
+ * Look for injected spam in the snapshots of a domain result. Parking and
+ * failed snapshots are skipped.
+ * @param {{domain: string, snapshots: object[], spam?: object}} result
+ * @param {object} [options]
+ * @param {object} [options.ruleset] from loadRules() (spam keywords)
+ * @returns {{is_compromised: boolean, score: number, threshold: number, first_seen: string|null,
+ *   categories: string[], signals: Array<{id: string, timestamp: string, detail: string}>}}
+ */
+export function detectCompromise(result, { ruleset = loadRules() } = {}) {
+  const snapshots = (result.snapshots || []).filter((s) => !s.error && !s.parking);
+  // Strong keywords only: hidden menus of a bank legitimately say "credit"
+  const rules = ruleset.rules.filter((r) => r.weight >= 1 && r.fields.some((f) => f !== "domain"));
+  const signals = [];
+  const categories = new Set();
+
+  // Writing system most captures use, for pages without a lang attribute
+  const tally = new Map();
+  for (const snap of snapshots) {
+    const name = dominantScript(snap.scripts);
+    if (name) tally.set(name, (tally.get(name) || 0) + 1);
+  }
+  const baseline = [...tally].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  let previousAnchors = [];
+  let cleanBefore = false;
+  for (const snap of snapshots) {
+    const hiddenLinks = snap.hidden_links || [];
+    const hiddenText = [snap.hidden_text, ...hiddenLinks.map((l) => `${l.anchor} ${l.domain}`)].join(" ");
+    const hits = spamMatches(rules, hiddenText);
+    if (hits.length) {
+      for (const r of hits) categories.add(r.category);
+      const words = [...new Set(hits.map((r) => r.pattern))].slice(0, 5);
+      signals.push({ id: "hidden_spam", timestamp: snap.timestamp, detail: `hidden ${words.join(", ")}` });
+    }
+    if (hiddenLinks.length >= MIN_HIDDEN_LINKS) {
+      const domains = new Set(hiddenLinks.map((l) => l.domain)).size;
+      signals.push({
+        id: "hidden_links",
+        timestamp: snap.timestamp,
+        detail: `${hiddenLinks.length} hidden external links to ${domains} domain(s) (${hiddenLinks[0].technique})`,
+      });
+    }
+
+    const mismatch = scriptMismatch(snap, baseline);
+    if (mismatch) {
+      signals.push({ id: cleanBefore ? "script_change" : "script_mismatch", timestamp: snap.timestamp, detail: mismatch });
+    } else if (Object.keys(snap.scripts || {}).length) {
+      cleanBefore = true;
+    }
+
+    // Spam anchors in visible outbound links, against the captures before
+    const anchors = (snap.outbound_links || []).filter((l) => spamMatches(rules, l.anchor).length);
+    const before = Math.max(0, ...previousAnchors);
+    if (anchors.length >= MIN_SPIKE_ANCHORS && anchors.length > before * 3) {
+      for (const l of anchors) for (const r of spamMatches(rules, l.anchor)) categories.add(r.category);
+      signals.push({
+        id: "spam_anchor_spike",
+        timestamp: snap.timestamp,
+        detail: `${anchors.length} spam anchors (${before} before), e.g. "${anchors[0].anchor}" → ${anchors[0].domain}`,
+      });
+    }
+    previousAnchors.push(anchors.length);
+  }
+
+  const ids = new Set(signals.map((s) => s.id));
+  let score = 0;
+  for (const id of ids) score += SIGNAL_WEIGHTS[id];
+  const timestamps = signals.map((s) => s.timestamp).sort();
+
+  return {
+    // A spam site isn't a hacked legitimate one
+    is_compromised: score >= COMPROMISED_MIN_SCORE && !(result.spam && result.spam.is_spam),
+    score,
+    threshold: COMPROMISED_MIN_SCORE,
+    first_seen: timestamps[0] || null,
+    categories: [...categories],
+    signals,
+  };
+}
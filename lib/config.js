@@ -0,0 +1,141 @@
+/**
+ * Server-side configuration (provider credentials, etc.).
+ * Read from environment variables, then from an optional JSON config file
+ * (WAYBACK_CONFIG, default ./wayback.config.json at the project root, see
+ * wayback.config.example.json). Environment variables win over the file.
+ * Secrets never leave the server: use providerStatus() for anything sent to
+ * the browser.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PROVIDERS } from "./providers/index.js";
+import { MEMENTO_ARCHIVES, resolveSources } from "./memento.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "wayback.config.json");
+
+let cached = null;
+
+/**
+ * Load the config file once (missing file = empty config).
+ * @param {string} [file]
+ */
+export function loadConfig(file = process.env.WAYBACK_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (cached && cached.file === file) return cached.config;
+  let config = {};
+  if (fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`Invalid config file ${file}: ${e.message}`);
+    }
+  }
+  cached = { file, config };
+  return config;
+}
+
+function pickDefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ""));
+}
+
+/**
+ * Options to pass to createProvider(name, ...) for a provider, merged from
+ * the config file and the environment.
+ */
+export function getProviderOptions(name) {
+  const fromFile = loadConfig().providers?.[name] || {};
+  const fromEnv =
+    name === "perplexity"
+      ? { apiKey: process.env.PERPLEXITY_API_KEY, model: process.env.PERPLEXITY_MODEL }
+      : name === "openai"
+        ? { baseUrl: process.env.OPENAI_BASE_URL, apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL }
+        : {};
+  return { ...pickDefined(fromFile), ...pickDefined(fromEnv) };
+}
+
+/**
+ * A provider is configured when it has what it needs to run: an API key for
+ * Perplexity, an explicit base URL for OpenAI-compatible servers.
+ */
+export function isProviderConfigured(name) {
+  const options = getProviderOptions(name);
+  if (name === "perplexity") return Boolean(options.apiKey);
+  if (name === "openai") return Boolean(options.baseUrl);
+  return Boolean(PROVIDERS[name]);
+}
+
+/**
+ * Public, secret-free provider status for the UI.
+ * @returns {{default: string|null, providers: Array<{name: string, configured: boolean, model: string|null}>}}
+ */
+export function providerStatus() {
+  const providers = Object.keys(PROVIDERS).map((name) => ({
+    name,
+    configured: isProviderConfigured(name),
+    model: getProviderOptions(name).model || null,
+  }));
+  const preferred = loadConfig().defaultProvider;
+  const configured = providers.filter((p) => p.configured).map((p) => p.name);
+  return {
+    default: configured.includes(preferred) ? preferred : configured[0] || null,
+    providers,
+  };
+}
+
+/**
+ * Parallelism for extraction runs: domains processed at once, and snapshots
+ * fetched at once per domain. DOMAIN_CONCURRENCY / SNAPSHOT_CONCURRENCY, then
+ * `concurrency: { domains, snapshots }` in the config file.
+ */
+export function getConcurrency() {
+  const fromFile = loadConfig().concurrency || {};
+  return {
+    domains: Number(process.env.DOMAIN_CONCURRENCY) || Number(fromFile.domains) || 3,
+    snapshots: Number(process.env.SNAPSHOT_CONCURRENCY) || Number(fromFile.snapshots) || 2,
+  };
+}
+
+/**
+ * Shared archive rate limit: WAYBACK_RATE / WAYBACK_BURST, then
+ * `rateLimit: { perSecond, burst }` in the config file.
+ */
+export function getRateLimit() {
+  const fromFile = loadConfig().rateLimit || {};
+  return {
+    perSecond: Number(process.env.WAYBACK_RATE) || Number(fromFile.perSecond) || undefined,
+    burst: Number(process.env.WAYBACK_BURST) || Number(fromFile.burst) || undefined,
+  };
+}
+
+/**
+ * Archive endpoint (see resolveArchive in lib/wayback.js): WAYBACK_ARCHIVE_URL
+ * (pywb collection), WAYBACK_CDX_URL / WAYBACK_REPLAY_URL, then
+ * `archive: { baseUrl, cdxUrl, replayUrl }` in the config file.
+ */
+export function getArchiveConfig() {
+  const fromFile = loadConfig().archive || {};
+  const fromEnv = {
+    baseUrl: process.env.WAYBACK_ARCHIVE_URL,
+    cdxUrl: process.env.WAYBACK_CDX_URL,
+    replayUrl: process.env.WAYBACK_REPLAY_URL,
+  };
+  // An explicit base URL in the environment replaces the file's endpoint entirely
+  if (fromEnv.baseUrl) return pickDefined(fromEnv);
+  return { ...pickDefined(fromFile), ...pickDefined(fromEnv) };
+}
+
+/**
+ * Memento archives offered for aggregation: MEMENTO_ARCHIVES (comma-separated
+ * names), then `memento: { archives: [...] }` in the config file (names of
+ * MEMENTO_ARCHIVES or custom `{ name, label, timemap, raw, rate }`), else all
+ * known archives.
+ * @returns {object[]} resolved definitions (see resolveSources)
+ */
+export function getMementoArchives() {
+  const fromEnv = (process.env.MEMENTO_ARCHIVES || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const fromFile = loadConfig().memento?.archives;
+  return resolveSources(fromEnv.length ? fromEnv : fromFile || Object.keys(MEMENTO_ARCHIVES));
+}
@@ -0,0 +1,305 @@
+/**
+ * Content diff between two captures of the same URL: what changed when a
+ * domain switched owner or got hacked.
+ *   fields : extracted fields that differ (title, description, headings,
+ *            tracking IDs, outbound domains...), arrays as added/removed items
+ *   text   : visible text split into blocks (paragraphs, headings, list items,
+ *            cells) and diffed block by block; long unchanged runs are
+ *            collapsed, and a changed block paired with its replacement gets
+ *            a word-level diff (`parts`)
+ */
+
+import * as cheerio from "cheerio";
+import { fetchSnapshot, makeIdUrl, extractFromHtml, redirectOf } from "./wayback.js";
+import { decodeHtml } from "./charset.js";
+
+// Unchanged blocks kept around each change
+const CONTEXT_BLOCKS = 2;
+// Blocks kept per capture, and size of the LCS table above which the middle
+// of the two texts is reported as fully replaced
+const MAX_BLOCKS = 2000;
+const MAX_CELLS = 4_000_000;
+// Word-level diff of a changed block pair only below this many words each
+const MAX_WORD_DIFF = 300;
+
+const SCALAR_FIELDS = [
+  "status",
+  "redirect_url",
+  "title",
+  "description",
+  "canonical",
+  "robots",
+  "og_title",
+  "og_description",
+  "lang",
+  "language",
+  "charset",
+  "keywords",
+  "generator",
+  "theme",
+  "parking",
+  "h1_count",
+  "word_count",
+  "links_internal",
+  "links_external",
+];
+
+const LIST_FIELDS = {
+  h1: (s) => s.h1 || [],
+  h2: (s) => s.h2 || [],
+  jsonld_types: (s) => s.jsonld_types || [],
+  tracking_ids: (s) => s.tracking_ids || [],
+  hreflang: (s) => (s.hreflang || []).map((h) => `${h.lang} ${h.href}`),
+  outbound_domains: (s) => (s.outbound_links || []).map((l) => l.domain),
+  hidden_links: (s) => (s.hidden_links || []).map((l) => l.domain),
+};
+
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "br", "dd", "div", "dl", "dt", "fieldset", "figcaption", "figure",
+  "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "li", "main", "nav", "ol", "option", "p",
+  "pre", "section", "table", "td", "th", "tr", "ul", "title",
+]);
+
+/**
+ * Visible text of a page as blocks, in document order (scripts, styles and
+ * archive toolbars left out; the title comes first).
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function visibleBlocks(html) {
+  const $ = cheerio.load(html);
+  $("script, style, noscript, template, head > :not(title)").remove();
+  $("#wm-ipp-base, #donato, .wb-autocomplete-suggestions").remove();
+
+  const parts = [];
+  const walk = (node) => {
+    if (node.type === "text") {
+      // Line breaks inside a text node do not end a block
+      parts.push(node.data.replace(/\s+/g, " "));
+      return;
+    }
+    if (node.type !== "tag" && node.type !== "root") return;
+    const block = node.type === "tag" && BLOCK_TAGS.has(node.name);
+    if (block) parts.push("\n");
+    for (const child of node.children || []) walk(child);
+    if (block) parts.push("\n");
+  };
+  walk($.root()[0]);
+
+  return parts
+    .join("")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .slice(0, MAX_BLOCKS);
+}
+
+/**
+ * Edit script between two sequences (longest common subsequence).
+ * @returns {Array<{op: "equal"|"removed"|"added", value}>}
+ */
+function diffSequences(a, b, same = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && same(a[start], b[start])) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && same(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((value) => ({ op: "equal", value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_CELLS) {
+    ops.push(...midA.map((value) => ({ op: "removed", value })), ...midB.map((value) => ({ op: "added", value })));
+  } else {
+    // lcs[i][j]: LCS length of midA[i..] and midB[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = same(midA[i], midB[j])
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && same(midA[i], midB[j])) {
+        ops.push({ op: "equal", value: midA[i++] });
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ op: "removed", value: midA[i++] });
+      } else {
+        ops.push({ op: "added", value: midB[j++] });
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map((value) => ({ op: "equal", value })));
+  return ops;
+}
+
+// Adjacent runs of the same op merged into text parts
+function wordParts(ops) {
+  const parts = [];
+  for (const { op, value } of ops) {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) last.text += ` ${value}`;
+    else parts.push({ op, text: value });
+  }
+  return parts;
+}
+
+// Pair the removed and added blocks of each change for a word-level diff
+function addWordDiffs(blocks) {
+  for (let i = 0; i < blocks.length; ) {
+    if (blocks[i].op === "equal") {
+      i++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    for (; i < blocks.length && blocks[i].op !== "equal"; i++) (blocks[i].op === "removed" ? removed : added).push(blocks[i]);
+    for (let k = 0; k < Math.min(removed.length, added.length); k++) {
+      const before = removed[k].text.split(" ");
+      const after = added[k].text.split(" ");
+      if (before.length > MAX_WORD_DIFF || after.length > MAX_WORD_DIFF) continue;
+      const ops = diffSequences(before, after);
+      // Unrelated blocks: a word diff would be noise
+      if (ops.filter((o) => o.op === "equal").length < Math.min(before.length, after.length) / 3) continue;
+      removed[k].parts = wordParts(ops.filter((o) => o.op !== "added"));
+      added[k].parts = wordParts(ops.filter((o) => o.op !== "removed"));
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Block-level diff of two texts (see visibleBlocks), unchanged runs longer
+ * than the context collapsed into `{ op: "skipped", count }`.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{added: number, removed: number, unchanged: number,
+ *   blocks: Array<{op: "equal"|"added"|"removed"|"skipped", text?: string, count?: number,
+ *   parts?: Array<{op: string, text: string}>}>}}
+ */
+export function diffBlocks(before, after) {
+  const blocks = addWordDiffs(diffSequences(before, after).map(({ op, value }) => ({ op, text: value })));
+  const changed = blocks.map((b, i) => (b.op !== "equal" ? i : -1)).filter((i) => i >= 0);
+  const near = (i) => changed.some((c) => Math.abs(c - i) <= CONTEXT_BLOCKS);
+
+  const out = [];
+  for (let i = 0; i < blocks.length; i++) {
+    if (blocks[i].op !== "equal" || near(i)) {
+      out.push(blocks[i]);
+      continue;
+    }
+    const last = out[out.length - 1];
+    if (last && last.op === "skipped") last.count++;
+    else out.push({ op: "skipped", count: 1 });
+  }
+  return {
+    added: blocks.filter((b) => b.op === "added").length,
+    removed: blocks.filter((b) => b.op === "removed").length,
+    unchanged: blocks.filter((b) => b.op === "equal").length,
+    blocks: out,
+  };
+}
+
+function fieldValue(snapshot, field) {
+  if (field === "parking") return snapshot.parking ? snapshot.parking.provider || "parked" : null;
+  const value = snapshot[field];
+  return value === undefined || value === "" ? null : value;
+}
+
+/**
+ * Extracted fields that differ between two captures.
+ * @param {object} before snapshot fields (see extractFromHtml)
+ * @param {object} after
+ * @returns {Array<{field: string, before, after, added?: string[], removed?: string[]}>}
+ */
+export function diffFields(before, after) {
+  const changes = [];
+  for (const field of SCALAR_FIELDS) {
+    const a = fieldValue(before, field);
+    const b = fieldValue(after, field);
+    if (String(a ?? "") !== String(b ?? "")) changes.push({ field, before: a, after: b });
+  }
+  for (const [field, list] of Object.entries(LIST_FIELDS)) {
+    const a = [...new Set(list(before))];
+    const b = [...new Set(list(after))];
+    const added = b.filter((x) => !a.includes(x));
+    const removed = a.filter((x) => !b.includes(x));
+    if (added.length || removed.length) changes.push({ field, before: a, after: b, added, removed });
+  }
+  return changes;
+}
+
+/**
+ * Diff of two already fetched captures.
+ * @param {{html: string, url?: string, status?: number, headers?: object}} before
+ * @param {{html: string, url?: string, status?: number, headers?: object}} after
+ * @returns {{fields: object[], text: object}} see diffFields and diffBlocks
+ */
+export function diffHtml(before, after) {
+  const extract = ({ html, url, status, headers }) => ({
+    ...extractFromHtml(html, { url }),
+    ...(status ? { status, ...redirectOf(status, headers || {}, url) } : {}),
+  });
+  return {
+    fields: diffFields(extract(before), extract(after)),
+    text: diffBlocks(visibleBlocks(before.html), visibleBlocks(after.html)),
+  };
+}
+
+// Capture timestamp of an archive replay URL (".../web/20200101000000id_/...")
+function replayTimestamp(url) {
+  const m = /\/(\d{14})(?:[a-z]{2}_)?\//.exec(url || "");
+  return m ? m[1] : null;
+}
+
+/**
+ * Fetch two captures of a URL from the archive and diff them. Only exact
+ * (14-digit) timestamps go through the snapshot cache: the archive answers
+ * a prefix with the nearest capture, which changes as captures are added.
+ * @param {string} url captured URL or domain (http:// assumed without a scheme)
+ * @param {string} from timestamp of the earlier capture (YYYYMMDDhhmmss, or a prefix)
+ * @param {string} to   timestamp of the later capture
+ * @param {object} [options]
+ * @param {object|false} [options.cache]
+ * @param {object} [options.archive] archive to query (default: the configured one)
+ * @returns {Promise<{url: string, from: {timestamp, requested?, snapshot, status, title, charset},
+ *   to: {timestamp, requested?, snapshot, status, title, charset}, fields: object[], text: object}>}
+ *   `timestamp` is the capture the archive served, `requested` the asked one when they differ
+ */
+export async function diffSnapshots(url, from, to, { cache, archive } = {}) {
+  const target = /^https?:\/\//i.test(url) ? url : `http://${url}`;
+  const load = async (requested) => {
+    const snapshot = makeIdUrl(requested, target, archive);
+    const exact = /^\d{14}$/.test(requested);
+    const { body, status, headers, url: servedFrom } = await fetchSnapshot(snapshot, {
+      ...(exact ? { cache } : { cache: false }),
+      status: "200",
+    });
+    const { html, charset } = decodeHtml(body, headers);
+    const timestamp = replayTimestamp(servedFrom) || requested;
+    return { timestamp, requested, snapshot, status, headers, html, charset, url: target };
+  };
+  const before = await load(from);
+  const after = await load(to);
+  const meta = ({ timestamp, requested, snapshot, status, charset, html }) => ({
+    timestamp,
+    ...(requested !== timestamp ? { requested } : {}),
+    snapshot,
+    status,
+    title: cheerio.load(html)("title").first().text().trim(),
+    charset,
+  });
+  return { url: target, from: meta(before), to: meta(after), ...diffHtml(before, after) };
+}
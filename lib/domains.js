@@ -0,0 +1,395 @@
+/**
+ * Domain-name risk analysis, independent of the snapshots.
+ * The name is decoded (IDN/punycode), split into labels and public suffix,
+ * and each label segmented into dictionary words ("bestcasinoslots" ->
+ * best casino slots) so that keywords match whole words only: "expert",
+ * "essex" or "slotsmith" stay clean. Flags, each weighted once:
+ *   spam_words    : spam keywords among the words of the name
+ *   brand         : a well-known brand among the words, not on its own domain
+ *   typosquat     : one typo away from a brand (omission, repetition,
+ *                   swap, neighbouring key: "gooogle", "paypl", "amazno")
+ *   homoglyph     : a brand once look-alike characters are replaced
+ *                   (Cyrillic "а", "0" for "o", "rn" for "m"...)
+ *   mixed_scripts : Latin mixed with Cyrillic or Greek in one label
+ *   tld           : risky TLD (free or cheap TLDs favoured by spammers)
+ *   hyphens, digits, length : keyword-stuffed or generated names
+ * The score is reported as `domain_risk`, separately from the content verdict.
+ * Word lists, brands, TLD weights and thresholds live in
+ * rules/domain-rules.json (override with DOMAIN_RULES_FILE or
+ * loadDomainRules(path)).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, domainToASCII, domainToUnicode } from "url";
+import { loadRules, loadKeywordPacks } from "./spam.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_DOMAIN_RULES_FILE = path.join(__dirname, "..", "rules", "domain-rules.json");
+
+export const DOMAIN_RISK_LEVELS = ["low", "medium", "high"];
+
+// Longest dictionary word tried by the segmentation
+const MAX_WORD_LENGTH = 24;
+// Known words shorter than this, glued to an unknown chunk, are not words
+// of the name ("es" + "sex" in an unknown "essex")
+const MIN_GLUED_WORD = 4;
+// Brands this long are distinctive enough to count even next to an unknown chunk
+const MIN_GLUED_BRAND = 8;
+// Shorter brands are not checked for typos (too many real words one typo away)
+const MIN_TYPO_BRAND = 5;
+
+const cache = new Map();
+
+/**
+ * Load a domain rules file (cached per path).
+ * @param {string} [file]
+ * @returns {{file: string, levels: object, thresholds: object, weights: object, suffixes: Set<string>,
+ *   tlds: Object<string, number>, brands: Array<{name, domains: string[], skeleton}>,
+ *   homoglyphs: Array<[string, string]>, words: Set<string>}}
+ */
+export function loadDomainRules(file = process.env.DOMAIN_RULES_FILE || DEFAULT_DOMAIN_RULES_FILE) {
+  const resolved = path.resolve(file);
+  if (cache.has(resolved)) return cache.get(resolved);
+
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  // Multi-character look-alikes ("rn") are replaced after the single ones
+  const homoglyphs = Object.entries(raw.homoglyphs || {}).sort((a, b) => a[0].length - b[0].length);
+  const rules = {
+    file: resolved,
+    levels: { medium: 1, high: 3, ...raw.levels },
+    thresholds: { hyphens: 3, digits: 4, digitShare: 0.3, length: 25, ...raw.thresholds },
+    weights: {
+      homoglyph: 3,
+      mixed_scripts: 2,
+      typosquat: 2,
+      brand: 1,
+      spam_words: 2,
+      hyphens: 1,
+      digits: 1,
+      length: 0.5,
+      ...raw.weights,
+    },
+    suffixes: new Set((raw.secondLevelSuffixes || []).map((s) => s.toLowerCase())),
+    tlds: raw.tlds || {},
+    homoglyphs,
+    brands: [],
+    words: new Set((raw.words || []).map((w) => w.toLowerCase())),
+  };
+  rules.brands = (raw.brands || []).map((b) => ({
+    name: b.name.toLowerCase(),
+    domains: (b.domains || []).map((d) => d.toLowerCase()),
+    skeleton: skeleton(b.name.toLowerCase(), homoglyphs),
+  }));
+  cache.set(resolved, rules);
+  return rules;
+}
+
+function skeleton(text, homoglyphs) {
+  let out = [...text].map((ch) => homoglyphs.find(([from]) => from === ch)?.[1] ?? ch).join("");
+  for (const [from, to] of homoglyphs) {
+    if (from.length > 1) out = out.split(from).join(to);
+  }
+  return out;
+}
+
+/**
+ * Split a domain into its Unicode form, subdomain labels, registrable label
+ * and public suffix (TLD, or second-level suffix such as co.uk).
+ * @param {string} domain ASCII (punycode) or Unicode
+ * @param {object} [options]
+ * @param {object} [options.rules] from loadDomainRules()
+ * @returns {{ascii: string, unicode: string, idn: boolean, labels: string[], label: string, suffix: string, tld: string}}
+ */
+export function splitDomain(domain, { rules = loadDomainRules() } = {}) {
+  const name = String(domain || "").trim().toLowerCase().replace(/\.$/, "").replace(/^www\./, "");
+  const ascii = domainToASCII(name) || name;
+  const unicode = domainToUnicode(ascii) || name;
+  const parts = unicode.split(".").filter(Boolean);
+  const tld = parts.length > 1 ? parts[parts.length - 1] : "";
+  const suffixLength = parts.length > 2 && rules.suffixes.has(parts.slice(-2).join(".")) ? 2 : tld ? 1 : 0;
+  const labels = parts.slice(0, parts.length - suffixLength);
+  return {
+    ascii,
+    unicode,
+    idn: unicode !== ascii,
+    labels,
+    label: labels[labels.length - 1] || "",
+    suffix: parts.slice(parts.length - suffixLength).join("."),
+    tld,
+  };
+}
+
+// Words the segmentation knows: the dictionary, brand names and the words of
+// the spam and allow keywords (rules and every keyword pack)
+const vocabularies = new WeakMap();
+
+function vocabularyOf(rules, ruleset, keywordPacks) {
+  const cached = vocabularies.get(ruleset);
+  if (cached && cached.rules === rules && cached.keywordPacks === keywordPacks) return cached.words;
+
+  const words = new Set(rules.words);
+  for (const brand of rules.brands) words.add(brand.name);
+  const keywordRules = [...ruleset.rules, ...(ruleset.allow || []), ...[...keywordPacks.values()].flatMap((p) => p.rules)];
+  for (const rule of keywordRules) {
+    if (rule.match === "regex") continue;
+    for (const word of rule.pattern.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+      if (word.length > 1) words.add(word);
+    }
+  }
+  vocabularies.set(ruleset, { rules, keywordPacks, words });
+  return words;
+}
+
+// Fewest unknown characters, then fewest words
+function segment(text, vocabulary) {
+  const chars = [...text];
+  const best = [{ unknown: 0, count: 0, from: 0, known: true }];
+  for (let i = 1; i <= chars.length; i++) {
+    let pick = null;
+    for (let j = 0; j < i; j++) {
+      const word = chars.slice(j, i).join("");
+      const known = i - j <= MAX_WORD_LENGTH && i - j > 1 && vocabulary.has(word);
+      const unknown = best[j].unknown + (known ? 0 : i - j);
+      const count = best[j].count + 1;
+      if (!pick || unknown < pick.unknown || (unknown === pick.unknown && count < pick.count)) {
+        pick = { unknown, count, from: j, known };
+      }
+    }
+    best.push(pick);
+  }
+  const segments = [];
+  for (let i = chars.length; i > 0; i = best[i].from) {
+    segments.unshift({ text: chars.slice(best[i].from, i).join(""), known: best[i].known });
+  }
+  return segments;
+}
+
+// Short known words next to an unknown chunk are part of it
+function mergeGlued(segments) {
+  const glued = segments.map((s, i) => ({
+    ...s,
+    known:
+      s.known &&
+      ([...s.text].length >= MIN_GLUED_WORD || (segments[i - 1]?.known !== false && segments[i + 1]?.known !== false)),
+  }));
+  const merged = [];
+  for (const s of glued) {
+    const last = merged[merged.length - 1];
+    if (last && !last.known && !s.known) last.text += s.text;
+    else merged.push({ ...s });
+  }
+  return merged;
+}
+
+function labelSegments(labels, vocabulary) {
+  return labels.flatMap((label) =>
+    label
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .map((part) => ({ part, segments: segment(part, vocabulary) }))
+  );
+}
+
+/**
+ * Words of a domain name, suffix and "www" left out: labels split on hyphens
+ * and segmented with the dictionary ("best-casinoslots.net" -> best casino slots).
+ * Unknown chunks are kept as one word.
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {object} [options.rules]        from loadDomainRules()
+ * @param {object} [options.ruleset]      from loadRules(), its keywords are words too
+ * @param {Map} [options.keywordPacks]    from loadKeywordPacks()
+ * @returns {string[]}
+ */
+export function domainWords(domain, { rules = loadDomainRules(), ruleset = loadRules(), keywordPacks = loadKeywordPacks() } = {}) {
+  const { labels } = splitDomain(domain, { rules });
+  const vocabulary = vocabularyOf(rules, ruleset, keywordPacks);
+  return labelSegments(labels, vocabulary).flatMap(({ segments }) => mergeGlued(segments).map((s) => s.text));
+}
+
+const KEYBOARD_ROWS = [
+  ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"],
+  ["1234567890", "azertyuiop", "qsdfghjklm", "wxcvbn"],
+];
+
+// Keys next to each other on a QWERTY or AZERTY keyboard
+const NEIGHBOURS = new Map();
+for (const rows of KEYBOARD_ROWS) {
+  rows.forEach((row, r) => {
+    [...row].forEach((key, c) => {
+      if (!NEIGHBOURS.has(key)) NEIGHBOURS.set(key, new Set());
+      const set = NEIGHBOURS.get(key);
+      for (const [dr, from, to] of [[-1, c, c + 1], [0, c - 1, c + 1], [1, c - 1, c]]) {
+        const other = rows[r + dr];
+        if (!other) continue;
+        for (let k = from; k <= to; k++) if (other[k] && other[k] !== key) set.add(other[k]);
+      }
+    });
+  });
+}
+
+function adjacentKeys(a, b) {
+  return Boolean(NEIGHBOURS.get(a)?.has(b));
+}
+
+/**
+ * Kind of typo that turns `brand` into `text`, or null.
+ * @returns {"omission"|"repetition"|"insertion"|"transposition"|"substitution"|null}
+ */
+function typoOf(text, brand) {
+  if (text === brand) return null;
+  const lt = text.length;
+  const lb = brand.length;
+  if (lt === lb - 1) {
+    for (let i = 0; i < lb; i++) if (brand.slice(0, i) + brand.slice(i + 1) === text) return "omission";
+  }
+  if (lt === lb + 1) {
+    for (let i = 0; i < lt; i++) {
+      if (text.slice(0, i) + text.slice(i + 1) !== brand) continue;
+      const ch = text[i];
+      if (ch === text[i - 1] || ch === text[i + 1]) return "repetition";
+      if (adjacentKeys(ch, text[i - 1]) || adjacentKeys(ch, text[i + 1])) return "insertion";
+    }
+  }
+  if (lt === lb) {
+    const diff = [];
+    for (let i = 0; i < lt; i++) if (text[i] !== brand[i]) diff.push(i);
+    if (diff.length === 2 && diff[1] === diff[0] + 1 && text[diff[0]] === brand[diff[1]] && text[diff[1]] === brand[diff[0]]) {
+      return "transposition";
+    }
+    if (diff.length === 1 && adjacentKeys(text[diff[0]], brand[diff[0]])) return "substitution";
+  }
+  return null;
+}
+
+// Brands that are words of the name, with known words or nothing around them
+// ("ameli" in "amelioration" is not)
+function brandWords(segments, brands) {
+  const names = [];
+  segments.forEach((s, i) => {
+    const brand = s.known && brands.find((b) => b.name === s.text);
+    if (!brand) return;
+    const glued = segments[i - 1]?.known === false || segments[i + 1]?.known === false;
+    if (!glued || brand.name.length >= MIN_GLUED_BRAND) names.push(brand.name);
+  });
+  return names;
+}
+
+function ownsBrand(ascii, brand) {
+  return brand.domains.some((d) => ascii === d || ascii.endsWith(`.${d}`));
+}
+
+const SCRIPT_REGEXES = [
+  ["latin", /\p{Script=Latin}/u],
+  ["cyrillic", /\p{Script=Cyrillic}/u],
+  ["greek", /\p{Script=Greek}/u],
+];
+
+function labelScripts(label) {
+  return SCRIPT_REGEXES.filter(([, regex]) => regex.test(label)).map(([name]) => name);
+}
+
+function round(x) {
+  return Math.round(x * 100) / 100;
+}
+
+/**
+ * Risk score of a domain name on its own.
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {object} [options.rules]        from loadDomainRules()
+ * @param {object} [options.ruleset]      from loadRules() (spam keywords)
+ * @param {Map} [options.keywordPacks]    from loadKeywordPacks(), all packs are matched
+ * @returns {{domain: string, unicode: string, idn: boolean, tld: string, words: string[],
+ *   score: number, level: "low"|"medium"|"high", categories: string[],
+ *   flags: Array<{id: string, detail: string, weight: number}>}}
+ */
+export function analyzeDomainName(
+  domain,
+  { rules = loadDomainRules(), ruleset = loadRules(), keywordPacks = loadKeywordPacks() } = {}
+) {
+  const parts = splitDomain(domain, { rules });
+  const vocabulary = vocabularyOf(rules, ruleset, keywordPacks);
+  const segmented = labelSegments(parts.labels, vocabulary);
+  const words = segmented.flatMap(({ segments }) => mergeGlued(segments).map((s) => s.text));
+  const w = rules.weights;
+  const flags = [];
+  const flag = (id, detail, weight = w[id]) => weight && flags.push({ id, detail, weight });
+  const categories = new Set();
+
+  // Spam keywords, whole words only; multi-word keywords across words ("get rich")
+  const text = words.join(" ");
+  const keywordRules = [...ruleset.rules, ...[...keywordPacks.values()].flatMap((p) => p.rules)];
+  const hits = new Map();
+  for (const rule of keywordRules) {
+    if (rule.match !== "word" || !rule.weight || !rule.fields.includes("domain") || hits.has(rule.pattern)) continue;
+    if (rule.regex.test(text)) hits.set(rule.pattern, rule);
+  }
+  if (hits.size) {
+    for (const rule of hits.values()) categories.add(rule.category);
+    const sum = [...hits.values()].reduce((s, r) => s + r.weight, 0);
+    flag("spam_words", [...hits.keys()].join(", "), round(Math.min(w.spam_words, sum)));
+  }
+
+  const brands = rules.brands.filter((b) => !ownsBrand(parts.ascii, b));
+
+  const named = new Set(segmented.flatMap(({ segments }) => brandWords(segments, brands)));
+
+  // Typos and look-alikes of a brand, per hyphen-separated part and on the
+  // label without its hyphens ("pay-pa1")
+  const candidates = new Set(segmented.map(({ part }) => part));
+  if (parts.label) candidates.add(parts.label.replace(/-/g, ""));
+  const typos = [];
+  const lookalikes = [];
+  for (const candidate of candidates) {
+    const shape = skeleton(candidate, rules.homoglyphs);
+    for (const brand of brands) {
+      if (named.has(brand.name) || candidate.includes(brand.name)) continue;
+      if (shape === brand.skeleton || (shape !== candidate && brandWords(segment(shape, vocabulary), [brand]).length)) {
+        lookalikes.push(`${candidate} ≈ ${brand.name}`);
+      } else if (brand.name.length >= MIN_TYPO_BRAND && !vocabulary.has(candidate)) {
+        const typo = typoOf(candidate, brand.name);
+        if (typo) typos.push(`${candidate} ≈ ${brand.name} (${typo})`);
+      }
+    }
+  }
+  if (lookalikes.length) flag("homoglyph", [...new Set(lookalikes)].join(", "));
+  if (typos.length) flag("typosquat", [...new Set(typos)].join(", "));
+  if (named.size) flag("brand", `${[...named].join(", ")} outside its own domain`);
+
+  for (const label of parts.labels) {
+    const scripts = labelScripts(label);
+    if (scripts.length > 1) {
+      flag("mixed_scripts", `${scripts.join(" + ")} in "${label}"`);
+      break;
+    }
+  }
+
+  if (rules.tlds[parts.tld]) flag("tld", `.${parts.tld}`, rules.tlds[parts.tld]);
+
+  const label = parts.label;
+  const t = rules.thresholds;
+  const hyphens = (label.match(/-/g) || []).length;
+  if (hyphens >= t.hyphens) flag("hyphens", `${hyphens} hyphens`);
+  const digits = (label.match(/\p{N}/gu) || []).length;
+  if (digits >= t.digits || (digits >= 2 && digits / label.length >= t.digitShare)) {
+    flag("digits", `${digits} digits in ${label.length} characters`);
+  }
+  if ([...label].length > t.length) flag("length", `${[...label].length} characters`);
+
+  const score = round(flags.reduce((s, f) => s + f.weight, 0));
+  const level = score >= rules.levels.high ? "high" : score >= rules.levels.medium ? "medium" : "low";
+  return {
+    domain: parts.ascii,
+    unicode: parts.unicode,
+    idn: parts.idn,
+    tld: parts.tld,
+    words,
+    score,
+    level,
+    categories: [...categories],
+    flags,
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Topic drift between consecutive snapshots of a domain.
+ * A sharp drop in title/description/OG vocabulary overlap (optionally with a
+ * change of page language) between two captures usually means the domain
+ * changed owner or topic, e.g. bakery blog -> casino landing page.
+ */
+
+// Drift at or above this score is reported as a "topic_change" event.
+export const DEFAULT_DRIFT_THRESHOLD = 0.7;
+
+// Added to the drift score when the primary language subtag changes (fr -> ja).
+const LANGUAGE_CHANGE_WEIGHT = 0.3;
+
+const STOPWORDS = new Set([
+  // en
+  "the", "and", "for", "with", "you", "your", "our", "are", "from", "this", "that", "home", "page", "welcome",
+  // fr
+  "les", "des", "une", "pour", "par", "sur", "avec", "vous", "votre", "nos", "est", "dans", "accueil", "bienvenue",
+]);
+
+function tokenize(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((t) => t.length >= 3 && !STOPWORDS.has(t))
+  );
+}
+
+// 1 = same vocabulary, 0 = nothing in common. Two empty sets count as identical.
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+function primaryLang(lang) {
+  return String(lang || "").toLowerCase().split(/[-_]/)[0];
+}
+
+function snapshotText(snap) {
+  return [snap.title, snap.description, snap.og_title, snap.og_description].join(" ");
+}
+
+/**
+ * Drift score between two snapshots, 0 (same topic) to 1 (unrelated).
+ * @returns {{score: number, language_change: boolean}}
+ */
+export function driftBetween(prev, next) {
+  const titleSim = jaccard(tokenize(prev.title || prev.og_title), tokenize(next.title || next.og_title));
+  const textSim = jaccard(tokenize(snapshotText(prev)), tokenize(snapshotText(next)));
+  // Detected language (see language.js), the declared one for older results
+  const a = primaryLang(prev.language || prev.lang);
+  const b = primaryLang(next.language || next.lang);
+  const language_change = Boolean(a && b && a !== b);
+
+  let score = 1 - (0.5 * titleSim + 0.5 * textSim);
+  if (language_change) score += LANGUAGE_CHANGE_WEIGHT;
+  return { score: Math.round(Math.min(1, score) * 100) / 100, language_change };
+}
+
+/**
+ * Score every snapshot against the previous usable one (chronologically) and
+ * collect topic change events. Sets `drift_score` on each snapshot (null for the
+ * first one, for non-2xx captures, parking pages and snapshots without
+ * error-free text).
+ * @param {object[]} snapshots
+ * @param {object} [options]
+ * @param {number} [options.threshold=DEFAULT_DRIFT_THRESHOLD]
+ * @returns {Array<{type, timestamp, previous_timestamp, score, language_change, from_title, to_title}>}
+ */
+export function detectTopicChanges(snapshots, { threshold = DEFAULT_DRIFT_THRESHOLD } = {}) {
+  const ordered = [...snapshots].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const events = [];
+  let prev = null;
+
+  for (const snap of ordered) {
+    snap.drift_score = null;
+    // Redirects, error and parking pages say nothing about the site's topic
+    if (snap.error || snap.parking || (snap.status && !/^2/.test(String(snap.status))) || !snapshotText(snap).trim()) continue;
+    if (prev) {
+      const { score, language_change } = driftBetween(prev, snap);
+      snap.drift_score = score;
+      if (score >= threshold) {
+        events.push({
+          type: "topic_change",
+          timestamp: snap.timestamp,
+          previous_timestamp: prev.timestamp,
+          score,
+          language_change,
+          from_title: prev.title,
+          to_title: snap.title,
+        });
+      }
+    }
+    prev = snap;
+  }
+  return events;
+}
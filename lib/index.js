@@ -0,0 +1,42 @@
+/**
+ * Public API of wayback-cdx-extractor.
+ * See README "Utilisation en bibliothèque".
+ */
+
+export * from "./wayback.js";
+export { detectTopicChanges, driftBetween, DEFAULT_DRIFT_THRESHOLD } from "./drift.js";
+export {
+  loadRules,
+  classifyDomain,
+  classifySnapshot,
+  categorizeKeyword,
+  withCustomKeywords,
+  loadKeywordPacks,
+  withKeywordPacks,
+  withProfile,
+  DEFAULT_PACKS_DIR,
+  SPAM_CATEGORIES,
+  DEFAULT_RULES_FILE,
+} from "./spam.js";
+export { loadClassifierConfig, buildPrompt, classifyContent, analyzeSnapshots } from "./classifier.js";
+export { createProvider, PROVIDERS } from "./providers/index.js";
+export { archiveLimiter, createRateLimiter, mapConcurrent, parseRetryAfter } from "./limiter.js";
+export { createCache, defaultCache, DEFAULT_CACHE_DIR, DEFAULT_CDX_TTL_MS } from "./cache.js";
+export { MEMENTO_ARCHIVES, getMementoRows, fetchTimeMap, parseLinkFormat, resolveSources } from "./memento.js";
+export { analyzeLinks, loadLinkRules, outboundTargets, DEFAULT_LINK_RULES_FILE, LINK_SELLING_MIN_FLAGS } from "./links.js";
+export { clusterDomains, FOOTPRINT_TYPES } from "./clusters.js";
+export { detectCompromise, findHiddenContent, COMPROMISED_MIN_SCORE } from "./compromise.js";
+export {
+  analyzeDomainName,
+  domainWords,
+  splitDomain,
+  loadDomainRules,
+  DEFAULT_DOMAIN_RULES_FILE,
+  DOMAIN_RISK_LEVELS,
+} from "./domains.js";
+export { detectLanguage, languageChanges, textScripts, LANGUAGE_SCRIPTS } from "./language.js";
+export { decodeHtml, sniffCharset, normalizeCharset } from "./charset.js";
+export { createProfileStore, normalizeProfile, profileId, DEFAULT_PROFILES_DIR } from "./profiles.js";
+export { diffSnapshots, diffHtml, diffFields, diffBlocks, visibleBlocks } from "./diff.js";
+export { detectParking, loadParkingRules, DEFAULT_PARKING_RULES_FILE } from "./parking.js";
+export { importWarc, importWarcStream, readWarcRecords, readWarcStream, parseHttpResponse, warcHtmlResponses, createWarcWriter } from "./warc.js";
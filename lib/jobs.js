@@ -0,0 +1,193 @@
+/**
+ * Persistent background job queue for extraction runs.
+ * Each job is stored in JOBS_DIR (default ./data/jobs) as two files:
+ *   <id>.json          : metadata (domains, options, status, timestamps)
+ *   <id>.results.ndjson: one line per processed domain, appended as it completes
+ * The results file is the source of truth for progress, so a job interrupted
+ * by a restart resumes with the domains that have no line yet.
+ * Jobs run one at a time, in creation order; domains within a job run with
+ * bounded concurrency, so result lines may be out of input order (see `index`).
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { mapConcurrent } from "./limiter.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_JOBS_DIR = path.join(__dirname, "..", "data", "jobs");
+
+export const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+function metaPath(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+function resultsPath(dir, id) {
+  return path.join(dir, `${id}.results.ndjson`);
+}
+
+// Write to a temp file then rename, so a crash never leaves half a JSON file.
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+// Complete lines only: a crash mid-append leaves a truncated last line.
+function readEntries(dir, id) {
+  const file = resultsPath(dir, id);
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      break;
+    }
+  }
+  return entries;
+}
+
+/**
+ * @param {object} options
+ * @param {(domain: string, options: object, job: {id: string, dir: string}) => Promise<object>} options.processDomain
+ *        does the work for one domain; its return value is stored as the result.
+ *        Per-job artifacts (e.g. a WARC export) go in `dir`, named after `id`
+ * @param {string} [options.dir] storage directory (JOBS_DIR env, default ./data/jobs)
+ * @param {number} [options.concurrency=1] domains processed in parallel
+ */
+export function createJobQueue({ processDomain, dir = process.env.JOBS_DIR || DEFAULT_JOBS_DIR, concurrency = 1 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const pending = [];
+  let running = false;
+
+  function readMeta(id) {
+    if (!/^[a-f0-9-]+$/i.test(id)) return null;
+    const file = metaPath(dir, id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  function saveMeta(job) {
+    job.updated_at = new Date().toISOString();
+    writeJsonAtomic(metaPath(dir, job.id), job);
+  }
+
+  async function runJob(job) {
+    const entries = readEntries(dir, job.id);
+    // Drop any truncated trailing line before appending again
+    fs.writeFileSync(resultsPath(dir, job.id), entries.map((e) => JSON.stringify(e) + "\n").join(""), "utf8");
+
+    job.status = "running";
+    job.started_at = job.started_at || new Date().toISOString();
+    job.completed = entries.length;
+    saveMeta(job);
+
+    const done = new Set(entries.map((e) => e.index));
+    const todo = job.domains.map((domain, index) => ({ domain, index })).filter((d) => !done.has(d.index));
+
+    await mapConcurrent(todo, concurrency, async ({ domain, index }) => {
+      let entry;
+      try {
+        const data = await processDomain(domain, job.options, { id: job.id, dir });
+        entry = { index, type: "result", data };
+      } catch (error) {
+        entry = { index, type: "error", domain, message: `Erreur pour ${domain}: ${error.message}` };
+      }
+      fs.appendFileSync(resultsPath(dir, job.id), JSON.stringify(entry) + "\n", "utf8");
+      job.completed++;
+      saveMeta(job);
+    });
+
+    job.status = "completed";
+    job.finished_at = new Date().toISOString();
+    saveMeta(job);
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (pending.length) {
+      const job = readMeta(pending.shift());
+      if (!job) continue;
+      try {
+        await runJob(job);
+      } catch (error) {
+        // Storage errors: keep what was written, mark the job as failed
+        console.error(`Job ${job.id} failed:`, error);
+        job.status = "failed";
+        job.error = String(error.message || error);
+        saveMeta(job);
+      }
+    }
+    running = false;
+  }
+
+  return {
+    dir,
+
+    /**
+     * Create and enqueue a job.
+     * @param {string[]} domains
+     * @param {object} options serializable run options passed to processDomain
+     */
+    create(domains, options = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: "queued",
+        created_at: new Date().toISOString(),
+        domains,
+        options,
+        completed: 0,
+        total: domains.length,
+      };
+      saveMeta(job);
+      fs.writeFileSync(resultsPath(dir, job.id), "", "utf8");
+      pending.push(job.id);
+      drain();
+      return job;
+    },
+
+    /**
+     * Job metadata plus its results/errors, starting at entry `offset`.
+     * @returns {object|null}
+     */
+    get(id, { offset = 0 } = {}) {
+      const job = readMeta(id);
+      if (!job) return null;
+      const entries = readEntries(dir, id).slice(offset);
+      return {
+        ...job,
+        offset,
+        results: entries.filter((e) => e.type === "result").map((e) => e.data),
+        errors: entries.filter((e) => e.type === "error").map((e) => e.message),
+        entries: entries.length,
+      };
+    },
+
+    /** Metadata of every job, newest first (without results). */
+    list() {
+      return fs
+        .readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => readMeta(f.slice(0, -".json".length)))
+        .filter(Boolean)
+        .map(({ domains, ...job }) => job)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    /** Re-enqueue jobs left queued or running by a previous process. */
+    resume() {
+      const interrupted = this.list()
+        .filter((job) => job.status === "queued" || job.status === "running")
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+      for (const job of interrupted) pending.push(job.id);
+      drain();
+      return interrupted.map((job) => job.id);
+    },
+  };
+}
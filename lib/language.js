@@ -0,0 +1,176 @@
+/**
+ * Offline language detection of snapshot text.
+ * Non-Latin scripts give the language almost directly (kana -> ja, hangul ->
+ * ko...); Latin text is scored against short stopword profiles. The declared
+ * <html lang> breaks ties and is the fallback when the page has too little
+ * text. A change of detected language between captures (fr -> ja) usually
+ * means a new owner or a keyword hack.
+ */
+
+const SCRIPTS = [
+  ["japanese", /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ["han", /\p{Script=Han}/u],
+  ["hangul", /\p{Script=Hangul}/u],
+  ["cyrillic", /\p{Script=Cyrillic}/u],
+  ["arabic", /\p{Script=Arabic}/u],
+  ["hebrew", /\p{Script=Hebrew}/u],
+  ["greek", /\p{Script=Greek}/u],
+  ["thai", /\p{Script=Thai}/u],
+  ["latin", /\p{Script=Latin}/u],
+];
+
+const MIN_SCRIPT_LETTERS = 30;
+
+/**
+ * Share of each writing system among the letters of a text (shares under 5%
+ * dropped, nothing under 30 letters). Han characters count as Japanese when
+ * kana are present.
+ * @param {string} text
+ * @returns {Object<string, number>} e.g. { latin: 0.7, japanese: 0.3 }
+ */
+export function textScripts(text) {
+  const counts = {};
+  let letters = 0;
+  for (const ch of String(text || "")) {
+    if (!/\p{L}/u.test(ch)) continue;
+    const found = SCRIPTS.find(([, regex]) => regex.test(ch));
+    const name = found ? found[0] : "other";
+    counts[name] = (counts[name] || 0) + 1;
+    letters++;
+  }
+  if (counts.japanese && counts.han) {
+    counts.japanese += counts.han;
+    delete counts.han;
+  }
+  const shares = {};
+  if (letters < MIN_SCRIPT_LETTERS) return shares;
+  for (const [name, n] of Object.entries(counts)) {
+    const share = Math.round((n / letters) * 100) / 100;
+    if (share >= 0.05) shares[name] = share;
+  }
+  return shares;
+}
+
+// Writing system of languages that don't use the Latin alphabet
+export const LANGUAGE_SCRIPTS = {
+  ja: "japanese",
+  zh: "han",
+  ko: "hangul",
+  ru: "cyrillic",
+  uk: "cyrillic",
+  bg: "cyrillic",
+  sr: "cyrillic",
+  be: "cyrillic",
+  mk: "cyrillic",
+  kk: "cyrillic",
+  ar: "arabic",
+  fa: "arabic",
+  ur: "arabic",
+  he: "hebrew",
+  el: "greek",
+  th: "thai",
+};
+
+// Language reported for a script when the declared lang doesn't say which
+const SCRIPT_LANGUAGES = {
+  japanese: "ja",
+  han: "zh",
+  hangul: "ko",
+  cyrillic: "ru",
+  arabic: "ar",
+  hebrew: "he",
+  greek: "el",
+  thai: "th",
+};
+
+// Most frequent short words of each Latin-script language
+const PROFILES = {
+  en: ["the", "and", "of", "to", "in", "is", "for", "that", "with", "on", "are", "you", "your", "this", "it", "be", "as", "we", "our", "from", "by", "or", "at", "an", "have", "more"],
+  fr: ["le", "la", "les", "de", "des", "et", "en", "un", "une", "du", "est", "pour", "dans", "que", "qui", "sur", "au", "aux", "par", "vous", "votre", "nos", "avec", "plus", "pas", "ce"],
+  de: ["der", "die", "das", "und", "ist", "in", "zu", "den", "mit", "von", "für", "auf", "nicht", "sie", "ein", "eine", "dem", "des", "sich", "wir", "auch", "ihre", "oder", "bei", "aus", "unsere"],
+  es: ["el", "la", "los", "las", "de", "del", "y", "en", "que", "es", "un", "una", "por", "para", "con", "su", "sus", "al", "lo", "como", "más", "nuestro", "nuestros", "se", "muy", "este"],
+  it: ["il", "la", "le", "di", "del", "della", "e", "che", "è", "per", "un", "una", "in", "con", "non", "sono", "gli", "dei", "delle", "al", "alla", "nel", "nella", "i", "anche", "nostro"],
+  pt: ["o", "a", "os", "as", "de", "do", "da", "dos", "das", "e", "em", "que", "um", "uma", "para", "com", "não", "no", "na", "por", "mais", "se", "seu", "sua", "você", "nosso"],
+  nl: ["de", "het", "een", "en", "van", "in", "is", "op", "te", "dat", "voor", "met", "zijn", "niet", "er", "ook", "aan", "uw", "bij", "wij", "onze", "je", "of", "naar", "die", "deze"],
+  pl: ["i", "w", "z", "na", "się", "do", "nie", "jest", "to", "że", "o", "od", "dla", "jak", "po", "ze", "co", "czy", "przez", "oraz", "są", "lub", "tym", "tak", "nasz", "jego"],
+  sv: ["och", "i", "att", "det", "som", "en", "på", "är", "av", "för", "med", "till", "den", "har", "de", "inte", "om", "ett", "vi", "var", "kan", "eller", "så", "från", "våra", "ni"],
+  tr: ["ve", "bir", "bu", "da", "de", "için", "ile", "olarak", "daha", "çok", "en", "gibi", "ne", "ya", "olan", "kadar", "sonra", "her", "veya", "ama", "biz", "siz", "mi", "bizim", "var", "değil"],
+};
+const PROFILE_SETS = Object.fromEntries(Object.entries(PROFILES).map(([lang, words]) => [lang, new Set(words)]));
+
+// Below this many stopword hits, or this share of the words, Latin text is undecided
+const MIN_PROFILE_HITS = 5;
+const MIN_PROFILE_SHARE = 0.05;
+// The declared language wins when it scores this close to the best profile
+const DECLARED_MARGIN = 0.8;
+
+function primaryLang(lang) {
+  return String(lang || "").toLowerCase().split(/[-_]/)[0];
+}
+
+function scoreProfiles(text) {
+  const words = String(text || "").toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  const hits = {};
+  for (const w of words) {
+    for (const [lang, set] of Object.entries(PROFILE_SETS)) {
+      if (set.has(w)) hits[lang] = (hits[lang] || 0) + 1;
+    }
+  }
+  return { words: words.length, hits };
+}
+
+/**
+ * Detect the language of a page's text.
+ * @param {string} text           visible text (title included)
+ * @param {object} [options]
+ * @param {string} [options.lang] declared <html lang>
+ * @returns {{language: string|null, language_source: "text"|"lang"|null}}
+ *          ISO 639-1 code; "lang" when only the declared language was usable
+ */
+export function detectLanguage(text, { lang } = {}) {
+  const declared = primaryLang(lang) || null;
+  const fallback = { language: declared, language_source: declared ? "lang" : null };
+
+  const scripts = textScripts(text);
+  let dominant = null;
+  for (const [name, share] of Object.entries(scripts)) {
+    if (!dominant || share > scripts[dominant]) dominant = name;
+  }
+  if (!dominant || dominant === "other") return fallback;
+
+  if (dominant !== "latin") {
+    // Cyrillic or Arabic script: the declared language tells which one
+    if (declared && LANGUAGE_SCRIPTS[declared] === dominant) return { language: declared, language_source: "text" };
+    if (dominant === "cyrillic" && /[іїєґ]/i.test(text)) return { language: "uk", language_source: "text" };
+    return { language: SCRIPT_LANGUAGES[dominant], language_source: "text" };
+  }
+
+  const { words, hits } = scoreProfiles(text);
+  let best = null;
+  for (const [language, n] of Object.entries(hits)) {
+    if (!best || n > hits[best]) best = language;
+  }
+  if (!best || hits[best] < MIN_PROFILE_HITS || hits[best] / words < MIN_PROFILE_SHARE) return fallback;
+  // Close profiles (es/pt, nl/de...): keep what the page says it is
+  if (declared && (hits[declared] || 0) >= hits[best] * DECLARED_MARGIN) return { language: declared, language_source: "text" };
+  return { language: best, language_source: "text" };
+}
+
+/**
+ * Changes of detected language between consecutive captures with content
+ * (failed, parking and non-2xx captures skipped, as are undetected ones).
+ * @param {object[]} snapshots chronological, with `language`
+ * @returns {Array<{timestamp: string, previous_timestamp: string, from: string, to: string}>}
+ */
+export function languageChanges(snapshots) {
+  const changes = [];
+  let prev = null;
+  for (const snap of snapshots) {
+    if (snap.error || snap.parking || (snap.status && !/^2/.test(String(snap.status))) || !snap.language) continue;
+    if (prev && prev.language !== snap.language) {
+      changes.push({ timestamp: snap.timestamp, previous_timestamp: prev.timestamp, from: prev.language, to: snap.language });
+    }
+    prev = snap;
+  }
+  return changes;
+}
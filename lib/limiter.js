@@ -0,0 +1,126 @@
+/**
+ * Global politeness for web.archive.org.
+ * - createRateLimiter(): token bucket shared by every request. A 429 pauses
+ *   the whole bucket (Retry-After when given) and halves its rate; the rate
+ *   recovers gradually after a run of successful requests.
+ * - archiveLimiter: the process-wide instance used by fetchRetry, configured
+ *   from WAYBACK_RATE (requests/second) and WAYBACK_BURST.
+ * - mapConcurrent(): bounded parallelism helper, results kept in input order.
+ */
+
+function sleep(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
+
+// Successful requests needed before a throttled rate is raised again.
+const RECOVERY_SUCCESSES = 20;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.perSecond=1]     sustained request rate
+ * @param {number} [options.burst=3]         bucket size
+ * @param {number} [options.minPerSecond=0.1] floor when slowing down on 429
+ */
+export function createRateLimiter({ perSecond = 1, burst = 3, minPerSecond = 0.1 } = {}) {
+  let maxRate = perSecond;
+  let capacity = burst;
+  let rate = perSecond;
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let successes = 0;
+  // Acquisitions are chained so waiters are served in FIFO order
+  let chain = Promise.resolve();
+
+  function refill(now) {
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * rate);
+    last = now;
+  }
+
+  async function take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+      refill(now);
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+    }
+  }
+
+  return {
+    /** Resolves when the caller may send one request. */
+    acquire() {
+      const turn = chain.then(take);
+      chain = turn.catch(() => {});
+      return turn;
+    },
+
+    /** Report a 429: pause everyone for `waitMs` and halve the rate. */
+    throttle(waitMs) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + waitMs);
+      rate = Math.max(minPerSecond, rate / 2);
+      tokens = 0;
+      successes = 0;
+    },
+
+    /** Report a successful request; slowly restores the configured rate. */
+    success() {
+      if (rate >= maxRate) return;
+      if (++successes >= RECOVERY_SUCCESSES) {
+        rate = Math.min(maxRate, rate * 1.5);
+        successes = 0;
+      }
+    },
+
+    /** Change the configured rate/burst (e.g. from CLI flags). */
+    configure({ perSecond: nextRate, burst: nextBurst } = {}) {
+      if (nextRate > 0) maxRate = rate = nextRate;
+      if (nextBurst > 0) capacity = nextBurst;
+      tokens = Math.min(tokens, capacity);
+    },
+
+    stats() {
+      return { perSecond: rate, maxPerSecond: maxRate, burst: capacity, pausedUntil };
+    },
+  };
+}
+
+export const archiveLimiter = createRateLimiter({
+  perSecond: Number(process.env.WAYBACK_RATE) || 1,
+  burst: Number(process.env.WAYBACK_BURST) || 3,
+});
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Run `fn(item, index)` over items with at most `limit` calls in flight.
+ * @returns {Promise<any[]>} results in input order
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
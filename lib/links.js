@@ -0,0 +1,244 @@
+/**
+ * Outbound link analysis: footprints of past use as a link farm or private
+ * blog network (PBN).
+ * Works on the `outbound_links` of each snapshot (see extractFromHtml) and
+ * aggregates them over the domain history: external-link ratio, most linked
+ * domains, money-keyword anchors, link-stuffed footers, "sponsored/partners"
+ * pages and outbound targets that keep changing between captures (links sold
+ * then replaced).
+ * Thresholds and keyword lists live in rules/link-rules.json (override with
+ * the LINK_RULES_FILE env var or loadLinkRules(path)).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_LINK_RULES_FILE = path.join(__dirname, "..", "rules", "link-rules.json");
+
+// A domain is reported as link selling when at least this many flags are raised
+export const LINK_SELLING_MIN_FLAGS = 2;
+
+const TOP_DOMAINS = 10;
+const MAX_MONEY_ANCHORS = 50;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function wordRegex(keyword) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}(?![\\p{L}\\p{N}])`, "iu");
+}
+
+const cache = new Map();
+
+/**
+ * Load and compile a link rules file (cached per path).
+ * @param {string} [file]
+ * @returns {{file: string, thresholds: object, moneyAnchors: Array<{keyword, regex}>,
+ *   sellingPatterns: Array<{keyword, regex}>, ignoreDomains: Set<string>}}
+ */
+export function loadLinkRules(file = process.env.LINK_RULES_FILE || DEFAULT_LINK_RULES_FILE) {
+  const resolved = path.resolve(file);
+  if (cache.has(resolved)) return cache.get(resolved);
+
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  const compile = (list = []) => list.map((keyword) => ({ keyword, regex: wordRegex(keyword) }));
+  const rules = {
+    file: resolved,
+    thresholds: {
+      externalRatio: 0.6,
+      minLinks: 20,
+      footerLinks: 10,
+      moneyAnchors: 3,
+      outboundDomains: 25,
+      churn: 0.7,
+      churnSnapshots: 3,
+      ...raw.thresholds,
+    },
+    moneyAnchors: compile(raw.moneyAnchors),
+    sellingPatterns: compile(raw.sellingPatterns),
+    ignoreDomains: new Set((raw.ignoreDomains || []).map((d) => d.toLowerCase())),
+  };
+  cache.set(resolved, rules);
+  return rules;
+}
+
+// Social widgets, CDNs and subdomains of the audited domain are not footprints
+function isIgnored(target, domain, ignoreDomains) {
+  const d = target.toLowerCase();
+  if (d === domain || d.endsWith(`.${domain}`)) return true;
+  for (const ignored of ignoreDomains) {
+    if (d === ignored || d.endsWith(`.${ignored}`)) return true;
+  }
+  return false;
+}
+
+/**
+ * Domains a domain links to over its snapshots, without the ignored ones
+ * (parking pages skipped).
+ * @param {string} domain
+ * @param {object[]} snapshots
+ * @param {object} [options]
+ * @param {object} [options.rules] from loadLinkRules()
+ * @returns {Set<string>}
+ */
+export function outboundTargets(domain, snapshots, { rules = loadLinkRules() } = {}) {
+  const own = String(domain || "").toLowerCase().replace(/^www\./, "");
+  const targets = new Set();
+  for (const snap of snapshots) {
+    if (snap.error || snap.parking) continue;
+    for (const link of snap.outbound_links || []) {
+      if (!isIgnored(link.domain, own, rules.ignoreDomains)) targets.add(link.domain);
+    }
+  }
+  return targets;
+}
+
+function firstMatch(patterns, text) {
+  if (!text) return null;
+  const found = patterns.find((p) => p.regex.test(text));
+  return found ? found.keyword : null;
+}
+
+// 1 = no target domain in common between two captures
+function distance(a, b) {
+  let inter = 0;
+  for (const d of a) if (b.has(d)) inter++;
+  const union = a.size + b.size - inter;
+  return union ? 1 - inter / union : 0;
+}
+
+function round(x) {
+  return Math.round(x * 100) / 100;
+}
+
+/**
+ * Aggregate outbound link footprints over the snapshots of a domain.
+ * @param {string} domain
+ * @param {object[]} snapshots with `outbound_links`, `links_internal`, `links_external`
+ * @param {object} [options]
+ * @param {object} [options.rules] from loadLinkRules()
+ * @returns {{links_internal: number, links_external: number, external_ratio: number,
+ *   outbound_domains: number, top_domains: Array<{domain, links, snapshots, anchors: string[]}>,
+ *   money_anchors: Array<{anchor, keyword, domain, href, rel: string[], timestamp}>,
+ *   footer_links_max: number, selling_pages: Array<{timestamp, match, field}>,
+ *   sponsored_links: number, churn: number|null,
+ *   flags: Array<{id: string, detail: string}>, link_selling: boolean}}
+ */
+export function analyzeLinks(domain, snapshots, { rules = loadLinkRules() } = {}) {
+  const own = String(domain || "").toLowerCase().replace(/^www\./, "");
+  const t = rules.thresholds;
+  // Parking pages link to ad feeds, not to the operator's sites, and the
+  // links of rewritten captures (archive.today) point to the archive
+  const valid = snapshots.filter((s) => !s.error && !s.parking && !s.rewritten);
+
+  let links_internal = 0;
+  let links_external = 0;
+  let footer_links_max = 0;
+  let sponsored_links = 0;
+  const targets = new Map();
+  const money = new Map();
+  const selling_pages = [];
+  const perSnapshot = [];
+
+  for (const snap of valid) {
+    links_internal += snap.links_internal || 0;
+    links_external += snap.links_external || 0;
+    const outbound = (snap.outbound_links || []).filter((l) => !isIgnored(l.domain, own, rules.ignoreDomains));
+    const domains = new Set();
+    let footer = 0;
+
+    for (const link of outbound) {
+      domains.add(link.domain);
+      if (link.footer) footer++;
+      if (link.rel.includes("sponsored")) sponsored_links++;
+
+      const target = targets.get(link.domain) || { domain: link.domain, links: 0, snapshots: new Set(), anchors: new Set() };
+      target.links++;
+      target.snapshots.add(snap.timestamp);
+      if (link.anchor) target.anchors.add(link.anchor);
+      targets.set(link.domain, target);
+
+      const keyword = firstMatch(rules.moneyAnchors, link.anchor);
+      const key = `${link.anchor.toLowerCase()} ${link.domain}`;
+      if (keyword && !money.has(key)) {
+        money.set(key, { anchor: link.anchor, keyword, domain: link.domain, href: link.href, rel: link.rel, timestamp: snap.timestamp });
+      }
+    }
+    footer_links_max = Math.max(footer_links_max, footer);
+    perSnapshot.push(domains);
+
+    // "Partners", "sponsored posts"... in the page itself or in its outbound anchors
+    const fields = [
+      ["title", snap.title],
+      ...(snap.h1 || []).map((h) => ["h1", h]),
+      ...(snap.h2 || []).map((h) => ["h2", h]),
+      ...outbound.map((l) => ["anchor", l.anchor]),
+    ];
+    for (const [field, text] of fields) {
+      const match = firstMatch(rules.sellingPatterns, text);
+      if (match) {
+        selling_pages.push({ timestamp: snap.timestamp, match, field });
+        break;
+      }
+    }
+  }
+
+  // Average change of outbound targets between consecutive captures that have some
+  const linked = perSnapshot.filter((d) => d.size >= 3);
+  let churn = null;
+  if (linked.length >= t.churnSnapshots) {
+    let sum = 0;
+    for (let i = 1; i < linked.length; i++) sum += distance(linked[i - 1], linked[i]);
+    churn = round(sum / (linked.length - 1));
+  }
+
+  const total = links_internal + links_external;
+  const external_ratio = total ? round(links_external / total) : 0;
+  const maxDomainsPerPage = Math.max(0, ...perSnapshot.map((d) => d.size));
+  const money_anchors = [...money.values()].slice(0, MAX_MONEY_ANCHORS);
+
+  const flags = [];
+  if (total >= t.minLinks && external_ratio >= t.externalRatio) {
+    flags.push({ id: "external_ratio", detail: `${Math.round(external_ratio * 100)}% of links are external` });
+  }
+  if (footer_links_max >= t.footerLinks) {
+    flags.push({ id: "footer_links", detail: `${footer_links_max} external links in a footer` });
+  }
+  if (money_anchors.length >= t.moneyAnchors) {
+    flags.push({ id: "money_anchors", detail: `${money_anchors.length} money-keyword anchors` });
+  }
+  if (maxDomainsPerPage >= t.outboundDomains) {
+    flags.push({ id: "outbound_domains", detail: `${maxDomainsPerPage} linked domains on one page` });
+  }
+  if (selling_pages.length || sponsored_links) {
+    const what = selling_pages.length ? `"${selling_pages[0].match}" in ${selling_pages[0].field}` : `${sponsored_links} rel=sponsored links`;
+    flags.push({ id: "link_selling_pages", detail: `${what} (${selling_pages.length} capture(s))` });
+  }
+  if (churn !== null && churn >= t.churn) {
+    flags.push({ id: "outbound_churn", detail: `outbound targets change by ${Math.round(churn * 100)}% between captures` });
+  }
+
+  const top_domains = [...targets.values()]
+    .sort((a, b) => b.snapshots.size - a.snapshots.size || b.links - a.links)
+    .slice(0, TOP_DOMAINS)
+    .map((d) => ({ domain: d.domain, links: d.links, snapshots: d.snapshots.size, anchors: [...d.anchors].slice(0, 5) }));
+
+  return {
+    links_internal,
+    links_external,
+    external_ratio,
+    outbound_domains: targets.size,
+    top_domains,
+    money_anchors,
+    footer_links_max,
+    selling_pages,
+    sponsored_links,
+    churn,
+    flags,
+    link_selling: flags.length >= LINK_SELLING_MIN_FLAGS,
+  };
+}
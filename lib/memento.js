@@ -0,0 +1,212 @@
+/**
+ * Memento (RFC 7089) source layer: captures of a domain from several web
+ * archives, next to the Wayback CDX API of getCdxRows.
+ * Each archive exposes a TimeMap in link-format; the mementos of every
+ * selected archive are merged, deduplicated (same second, same URL) and
+ * tagged with their `source`. Snapshots are then fetched from the archive
+ * that holds them, in raw mode (id_) when the archive supports it.
+ *
+ * Archives are referenced by name (see MEMENTO_ARCHIVES) or given as
+ * `{ name, label, timemap, raw, rate }` objects. Captures of an archive
+ * without a raw mode are rewritten pages: extractDomain drops their links
+ * (`rewritten: true`), left out of the link and PBN analysis.
+ */
+
+import { fetchRetry, selectRows } from "./wayback.js";
+import { defaultCache } from "./cache.js";
+import { archiveLimiter, createRateLimiter } from "./limiter.js";
+
+/**
+ * Known archives.
+ * - timemap: prefix of the link-format TimeMap, the page URL is appended
+ * - raw:     suffix added to the memento timestamp for un-rewritten HTML (null: none)
+ * - rate:    requests/second for this archive (web.archive.org uses the shared archiveLimiter)
+ */
+export const MEMENTO_ARCHIVES = {
+  ia: {
+    label: "Internet Archive",
+    timemap: "https://web.archive.org/web/timemap/link/",
+    raw: "id_",
+  },
+  archivetoday: {
+    label: "archive.today",
+    timemap: "https://archive.ph/timemap/",
+    raw: null,
+    rate: 0.2,
+  },
+  ukwa: {
+    label: "UK Web Archive",
+    timemap: "https://www.webarchive.org.uk/wayback/archive/timemap/link/",
+    raw: "id_",
+    rate: 0.5,
+  },
+  arquivo: {
+    label: "Arquivo.pt",
+    timemap: "https://arquivo.pt/wayback/timemap/link/",
+    raw: "id_",
+    rate: 0.5,
+  },
+};
+
+/**
+ * Resolve archive names / definitions into full definitions.
+ * @param {Array<string|object>} sources
+ * @returns {Array<{name: string, label: string, timemap: string, raw: string|null, rate?: number}>}
+ */
+export function resolveSources(sources) {
+  return sources.map((source) => {
+    if (typeof source === "string") {
+      const known = MEMENTO_ARCHIVES[source];
+      if (!known) {
+        throw new Error(`Unknown archive "${source}" (expected: ${Object.keys(MEMENTO_ARCHIVES).join(", ")})`);
+      }
+      return { name: source, ...known };
+    }
+    if (!source || !source.name || !source.timemap) {
+      throw new Error('An archive needs at least "name" and "timemap"');
+    }
+    return { label: source.name, raw: null, ...source };
+  });
+}
+
+const limiters = new Map();
+
+/** Rate limiter of an archive: one per archive, web.archive.org shares archiveLimiter. */
+export function limiterFor(archive) {
+  if (new URL(archive.timemap).hostname === "web.archive.org") return archiveLimiter;
+  if (!limiters.has(archive.name)) {
+    limiters.set(archive.name, createRateLimiter({ perSecond: archive.rate || 0.5, burst: 2 }));
+  }
+  return limiters.get(archive.name);
+}
+
+// ----------------------- link-format -----------------------
+
+/**
+ * Parse an RFC 6690 link-format document (TimeMap).
+ * @param {string} text
+ * @returns {Array<{uri: string, rel: string[], datetime?: string}>}
+ */
+export function parseLinkFormat(text) {
+  const links = [];
+  // Commas also appear inside datetime values: split on "<" instead
+  const re = /<([^>]*)>([^<]*)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const params = {};
+    const paramRe = /;\s*([a-z_-]+)\s*=\s*(?:"([^"]*)"|([^;,\s]+))/gi;
+    let p;
+    while ((p = paramRe.exec(m[2]))) params[p[1].toLowerCase()] = p[2] ?? p[3];
+    links.push({ ...params, uri: m[1], rel: (params.rel || "").split(/\s+/).filter(Boolean) });
+  }
+  return links;
+}
+
+/** RFC 1123 date ("Mon, 01 Jan 2020 00:00:00 GMT") to a 14-digit timestamp. */
+function toTimestamp(datetime) {
+  const d = new Date(datetime);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+function rawUrl(memento, timestamp, raw) {
+  if (!raw) return memento;
+  return memento.replace(new RegExp(`/${timestamp}/`), `/${timestamp}${raw}/`);
+}
+
+// ----------------------- TimeMaps -----------------------
+
+/**
+ * Mementos of one URL in one archive. TimeMaps go through the CDX cache
+ * (same TTL, expired entries served when the archive can't be reached).
+ * @param {string} url
+ * @param {object} archive resolved archive definition
+ * @param {object} [options]
+ * @param {object|false} [options.cache]
+ * @returns {Promise<Array<{timestamp, original, memento, snapshot, source}>>}
+ */
+export async function fetchTimeMap(url, archive, { cache = defaultCache } = {}) {
+  const timemapUrl = archive.timemap + url;
+  let links = cache ? cache.getCdx(timemapUrl) : null;
+  if (!links) {
+    try {
+      const res = await fetchRetry(timemapUrl, { limiter: limiterFor(archive), headers: { accept: "application/link-format" } });
+      links = parseLinkFormat(await res.text());
+      if (cache) cache.setCdx(timemapUrl, links);
+    } catch (err) {
+      // No capture at all is a 404 for most Memento archives (not retried)
+      if (err.status === 404) return [];
+      links = cache && cache.getCdx(timemapUrl, { allowStale: true });
+      if (!links) throw err;
+    }
+  }
+
+  const original = links.find((l) => l.rel.includes("original"))?.uri || url;
+  return links
+    .filter((l) => l.rel.includes("memento") && l.datetime)
+    .map((l) => {
+      const timestamp = toTimestamp(l.datetime);
+      return timestamp && {
+        timestamp,
+        original,
+        memento: l.uri,
+        snapshot: rawUrl(l.uri, timestamp, archive.raw),
+        source: archive.name,
+      };
+    })
+    .filter(Boolean);
+}
+
+// http://www.Example.com/ and https://example.com are the same page
+function pageKey(url) {
+  return url.toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/^www\./, "").replace(/\/+$/, "");
+}
+
+/**
+ * Captures of a domain from several Memento archives, merged and
+ * deduplicated (same second and page: the first archive in `sources` wins),
+ * then selected like getCdxRows (last N, or timeline sampling).
+ * An archive that fails is reported in `sources` and skipped.
+ * @param {string} domain
+ * @param {object} options
+ * @param {Array<string|object>} options.sources archive names or definitions
+ * @param {number} [options.n=5]
+ * @param {"year"|"quarter"|"month"} [options.timeline]
+ * @param {string} [options.from]
+ * @param {string} [options.to]
+ * @param {object|false} [options.cache]
+ * @returns {Promise<{rows: object[], sources: Array<{name: string, captures: number, error?: string}>}>}
+ */
+export async function getMementoRows(domain, { sources, n = 5, timeline = null, from, to, cache } = {}) {
+  const archives = resolveSources(sources);
+  const lo = from ? String(from).padEnd(14, "0") : null;
+  const hi = to ? String(to).padEnd(14, "9") : null;
+
+  const seen = new Map();
+  const report = [];
+  for (const archive of archives) {
+    let mementos;
+    try {
+      mementos = await fetchTimeMap(domain, archive, { cache });
+    } catch (err) {
+      report.push({ name: archive.name, captures: 0, error: String(err.message || err) });
+      continue;
+    }
+    report.push({ name: archive.name, captures: mementos.length });
+    for (const m of mementos) {
+      if ((lo && m.timestamp < lo) || (hi && m.timestamp > hi)) continue;
+      const key = `${m.timestamp} ${pageKey(m.original)}`;
+      if (!seen.has(key)) seen.set(key, m);
+    }
+  }
+
+  const rows = [...seen.values()].map((m) => ({
+    ...m,
+    // Not part of TimeMaps
+    mimetype: null,
+    statuscode: null,
+    digest: null,
+    length: 0,
+  }));
+  return { rows: selectRows(rows, { n, timeline }), sources: report };
+}
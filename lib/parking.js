@@ -0,0 +1,154 @@
+/**
+ * Parked-domain and domain-for-sale page detection.
+ * Expired domains spend years as registrar parking pages (Sedo, Bodis, GoDaddy
+ * CashParking...) or marketplace landers (Dan.com, Afternic...). Their titles
+ * mean nothing about the site, so these snapshots are tagged (`parking`) and
+ * left out when judging the domain's real history: spam verdict, AI analysis,
+ * topic drift, link footprints and clusters.
+ * Signals, added up against `threshold`:
+ *   host      : +2 parking/marketplace host in the page (+1 on a large page)
+ *   adfeed    : +1 parking ad-feed script or marker (AdSense for Domains...)
+ *   title     : +2 for-sale / parked wording in the title, or "<domain> for sale"
+ *   text      : +1 same wording in the body text
+ *   structure : +1 almost no text, and a frame/iframe or a title that is just the domain
+ * Wording alone is never enough ("Related links" is a fine title for a spam
+ * page): a host, ad-feed or structure signal is required.
+ * Rules live in rules/parking-rules.json (override with PARKING_RULES_FILE or
+ * loadParkingRules(path)).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PARKING_RULES_FILE = path.join(__dirname, "..", "rules", "parking-rules.json");
+
+// Parking landers are tiny; above this a provider host is more likely a mere link
+const LARGE_PAGE_WORDS = 500;
+const EMPTY_PAGE_WORDS = 50;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const cache = new Map();
+
+/**
+ * Load and compile a parking rules file (cached per path).
+ * @param {string} [file]
+ * @returns {{file: string, threshold: number, providers: object[], adFeedMarkers: object[],
+ *   forSalePatterns: object[], parkedPatterns: object[]}}
+ */
+export function loadParkingRules(file = process.env.PARKING_RULES_FILE || DEFAULT_PARKING_RULES_FILE) {
+  const resolved = path.resolve(file);
+  if (cache.has(resolved)) return cache.get(resolved);
+
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  const compile = (list = []) => list.map((pattern) => ({ pattern, regex: new RegExp(escapeRegExp(pattern), "iu") }));
+  const rules = {
+    file: resolved,
+    threshold: Number(raw.threshold ?? 2),
+    providers: (raw.providers || []).map((p) => ({
+      name: p.name,
+      forSale: Boolean(p.forSale),
+      // "//host" or ".host" so that dan.com doesn't match jordan.com, and a bare
+      // host must end there so that it doesn't match dan.community either
+      hosts: p.hosts.map((host) => ({
+        host,
+        regex: new RegExp(`(?:\\/\\/|\\.)${escapeRegExp(host)}${host.includes("/") ? "" : "(?![\\w.-]*[\\w-])"}`, "i"),
+      })),
+    })),
+    adFeedMarkers: compile(raw.adFeedMarkers),
+    forSalePatterns: compile(raw.forSalePatterns),
+    parkedPatterns: compile(raw.parkedPatterns),
+  };
+  cache.set(resolved, rules);
+  return rules;
+}
+
+function findPattern(rules, text) {
+  if (!text) return null;
+  const forSale = rules.forSalePatterns.find((p) => p.regex.test(text));
+  if (forSale) return { pattern: forSale.pattern, forSale: true };
+  const parked = rules.parkedPatterns.find((p) => p.regex.test(text));
+  return parked ? { pattern: parked.pattern, forSale: false } : null;
+}
+
+// "example.com is for sale", "example.com à vendre": the domain itself on offer
+const FOR_SALE_WORDING = /for sale|à vendre|zu verkaufen|en venta|in vendita/i;
+
+function domainForSale(title, own) {
+  if (!own || !title || !FOR_SALE_WORDING.test(title)) return null;
+  return title.toLowerCase().includes(own) ? { pattern: `${own} for sale`, forSale: true } : null;
+}
+
+/**
+ * Tell whether a page is a parking or domain-for-sale page.
+ * @param {object} page
+ * @param {string} page.html        raw HTML (provider hosts are often in scripts)
+ * @param {string} page.title
+ * @param {string} page.text        visible body text
+ * @param {number} page.word_count
+ * @param {boolean} [page.framed]   the page is a frameset or a lone iframe
+ * @param {string} [page.url]       page URL
+ * @param {object} [options]
+ * @param {object} [options.rules]  from loadParkingRules()
+ * @returns {{provider: string|null, for_sale: boolean, score: number, signals: string[]}|null}
+ *          null when the page doesn't look parked
+ */
+export function detectParking({ html, title, text, word_count, framed = false, url }, { rules = loadParkingRules() } = {}) {
+  let score = 0;
+  let provider = null;
+  let for_sale = false;
+  const signals = [];
+
+  let own = "";
+  try {
+    own = url ? new URL(url).hostname.toLowerCase().replace(/^www\./, "") : "";
+  } catch {
+    own = "";
+  }
+
+  for (const p of rules.providers) {
+    const hit = p.hosts.find((h) => h.regex.test(html) && !own.endsWith(h.host.split("/")[0]));
+    if (hit) {
+      provider = p.name;
+      for_sale = for_sale || p.forSale;
+      score += word_count > LARGE_PAGE_WORDS ? 1 : 2;
+      signals.push(`host:${hit.host}`);
+      break;
+    }
+  }
+
+  const adFeed = rules.adFeedMarkers.find((m) => m.regex.test(html));
+  if (adFeed) {
+    score += 1;
+    signals.push(`adfeed:${adFeed.pattern}`);
+  }
+
+  const inTitle = findPattern(rules, title) || domainForSale(title, own);
+  if (inTitle) {
+    score += 2;
+    for_sale = for_sale || inTitle.forSale;
+    signals.push(`title:${inTitle.pattern}`);
+  }
+
+  const inText = findPattern(rules, text);
+  if (inText) {
+    score += 1;
+    for_sale = for_sale || inText.forSale;
+    signals.push(`text:${inText.pattern}`);
+  }
+
+  const cleanTitle = String(title || "").trim().toLowerCase().replace(/^www\./, "");
+  if (word_count < EMPTY_PAGE_WORDS && (framed || (own && cleanTitle === own))) {
+    score += 1;
+    signals.push(framed ? "structure:frame" : "structure:title-is-domain");
+  }
+
+  if (score < rules.threshold) return null;
+  if (!signals.some((s) => /^(?:host|adfeed|structure):/.test(s))) return null;
+  return { provider, for_sale, score, signals };
+}
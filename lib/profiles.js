@@ -0,0 +1,155 @@
+/**
+ * Named keyword profiles shared by everyone using the server ("gambling-strict",
+ * "client X"...), so a batch gives the same verdicts whoever runs it.
+ * A profile is stored in PROFILES_DIR (default ./data/profiles) as <id>.json:
+ *   name         : display name, the id is its slug ("Client X" -> "client-x")
+ *   description  : free text
+ *   block        : [{ keyword, weight, category }] keywords that count as spam;
+ *                  a keyword the spam rules already have takes the profile's
+ *                  weight instead (0 turns it off)
+ *   allow        : domains ("lemonde.fr", subdomains included) or words of the
+ *                  name ("news") whose name is not scored (captures still are)
+ *   defaultAllow : keep the `allow` rules of the spam rules file (default true)
+ *   threshold    : spam threshold for this profile (default: the rules file's)
+ * Profiles apply to a ruleset with withProfile() in spam.js.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROFILES_DIR = path.join(__dirname, "..", "data", "profiles");
+
+const MAX_WEIGHT = 10;
+
+/**
+ * Id of a profile name: lower-case letters, digits and dashes.
+ * @param {string} name
+ * @returns {string}
+ */
+export function profileId(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+/**
+ * Validate and normalize a profile (throws on invalid input). Block keywords
+ * may be given as plain strings (weight 1); duplicates keep the last entry.
+ * @param {object} raw
+ * @returns {{id: string, name: string, description: string, block: Array<{keyword, weight, category}>,
+ *   allow: string[], defaultAllow: boolean, threshold: number|null}}
+ */
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Profile must be an object");
+  const name = String(raw.name || "").trim();
+  const id = profileId(name);
+  if (!id) throw new Error("Profile name is required");
+
+  const { block = [], allow = [] } = raw;
+  if (!Array.isArray(block)) throw new Error("block must be an array");
+  if (!Array.isArray(allow)) throw new Error("allow must be an array");
+
+  const keywords = new Map();
+  for (const entry of block) {
+    const item = typeof entry === "string" ? { keyword: entry } : entry || {};
+    const keyword = String(item.keyword || "").trim().toLowerCase();
+    if (!keyword) continue;
+    const weight = Number(item.weight ?? 1);
+    if (!Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      throw new Error(`Invalid weight for "${keyword}": must be between 0 and ${MAX_WEIGHT}`);
+    }
+    keywords.set(keyword, { keyword, weight, category: item.category ? String(item.category) : null });
+  }
+
+  let threshold = null;
+  if (raw.threshold !== undefined && raw.threshold !== null && raw.threshold !== "") {
+    threshold = Number(raw.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) throw new Error("threshold must be a positive number");
+  }
+
+  return {
+    id,
+    name,
+    description: String(raw.description || "").trim(),
+    block: [...keywords.values()],
+    allow: [...new Set(allow.map((a) => String(a).trim().toLowerCase().replace(/^www\./, "")).filter(Boolean))],
+    defaultAllow: raw.defaultAllow !== false,
+    threshold,
+  };
+}
+
+// Write to a temp file then rename, so a crash never leaves half a JSON file.
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] storage directory (PROFILES_DIR env, default ./data/profiles)
+ */
+export function createProfileStore({ dir = process.env.PROFILES_DIR || DEFAULT_PROFILES_DIR } = {}) {
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    dir,
+
+    /** Every profile, by name. */
+    list() {
+      if (!fs.existsSync(dir)) return [];
+      return fs
+        .readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => this.get(f.slice(0, -".json".length)))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /** @returns {object|null} */
+    get(id) {
+      if (!/^[a-z0-9-]+$/.test(String(id))) return null;
+      const file = fileOf(id);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    },
+
+    /**
+     * Create or replace a profile (validated with normalizeProfile). Renaming
+     * changes the id: pass the previous one as `replaces` to drop it.
+     * @param {object} raw
+     * @param {object} [options]
+     * @param {string} [options.replaces] id of the profile being edited
+     * @param {boolean} [options.create] fail if the id is already taken
+     * @returns {object} the stored profile
+     */
+    save(raw, { replaces = null, create = false } = {}) {
+      const profile = normalizeProfile(raw);
+      const existing = this.get(profile.id);
+      if (existing && (create || (replaces && replaces !== profile.id))) {
+        throw new Error(`Profile "${profile.id}" already exists`);
+      }
+      const previous = replaces ? this.get(replaces) : existing;
+      const now = new Date().toISOString();
+      const stored = { ...profile, created_at: previous?.created_at || now, updated_at: now };
+      fs.mkdirSync(dir, { recursive: true });
+      writeJsonAtomic(fileOf(profile.id), stored);
+      if (replaces && replaces !== profile.id && previous) fs.rmSync(fileOf(replaces), { force: true });
+      return stored;
+    },
+
+    /** @returns {boolean} false when there was no such profile */
+    remove(id) {
+      if (!this.get(id)) return false;
+      fs.rmSync(fileOf(id), { force: true });
+      return true;
+    },
+  };
+}
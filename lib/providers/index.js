@@ -0,0 +1,25 @@
+/**
+ * LLM provider registry.
+ * A provider is a plain object `{ name, model, complete(prompt, { temperature, maxTokens }) }`
+ * whose `complete` resolves to the raw answer text. Register new ones in PROVIDERS.
+ */
+
+import { createPerplexityProvider } from "./perplexity.js";
+import { createOpenAICompatibleProvider } from "./openai.js";
+
+export const PROVIDERS = {
+  perplexity: createPerplexityProvider,
+  openai: createOpenAICompatibleProvider,
+};
+
+/**
+ * @param {string} name    key of PROVIDERS
+ * @param {object} [options] provider-specific options (apiKey, baseUrl, model...)
+ */
+export function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}" (expected: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,55 @@
+/**
+ * OpenAI-compatible chat completions provider.
+ * Works with any server exposing POST {baseUrl}/chat/completions: OpenAI,
+ * a local Ollama (http://localhost:11434/v1) or llama.cpp server
+ * (http://localhost:8080/v1), vLLM, etc.
+ */
+
+import fetch from "node-fetch";
+
+export const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+export const DEFAULT_MODEL = "llama3.1";
+
+/**
+ * POST a single-message chat completion and return the answer text.
+ */
+export async function chatCompletion({ baseUrl, apiKey, model, prompt, temperature = 0.1, maxTokens = 50 }) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${baseUrl}`);
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content?.trim() || "";
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] defaults to OPENAI_BASE_URL, then a local Ollama
+ * @param {string} [options.apiKey]  optional for local servers
+ * @param {string} [options.model]   defaults to OPENAI_MODEL
+ */
+export function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || DEFAULT_MODEL,
+} = {}) {
+  return {
+    name: "openai",
+    model,
+    complete: (prompt, opts = {}) => chatCompletion({ baseUrl, apiKey, model, prompt, ...opts }),
+  };
+}
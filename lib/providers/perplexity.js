@@ -0,0 +1,23 @@
+/**
+ * Perplexity provider (hosted, requires an API key).
+ * Perplexity speaks the OpenAI chat completions format.
+ */
+
+import { chatCompletion } from "./openai.js";
+
+export const BASE_URL = "https://api.perplexity.ai";
+export const DEFAULT_MODEL = "llama-3.1-sonar-small-128k-online";
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model] defaults to PERPLEXITY_MODEL
+ */
+export function createPerplexityProvider({ apiKey, model = process.env.PERPLEXITY_MODEL || DEFAULT_MODEL } = {}) {
+  if (!apiKey) throw new Error("Perplexity provider requires an API key");
+  return {
+    name: "perplexity",
+    model,
+    complete: (prompt, opts = {}) => chatCompletion({ baseUrl: BASE_URL, apiKey, model, prompt, ...opts }),
+  };
+}
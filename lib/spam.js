@@ -0,0 +1,422 @@
+/**
+ * Rule-based spam classifier.
+ * Rules live in a JSON file (default: rules/spam-rules.json, override with the
+ * SPAM_RULES_FILE env var or loadRules(path)). Each rule has:
+ *   id        : unique id (defaults to "<category>:<keyword>")
+ *   category  : one of the spam categories shown in the UI
+ *   weight    : added to the score when the rule matches (once per rule)
+ *   match     : "word" (whole-word keyword) | "substring" | "regex"
+ *   fields    : any of "domain", "title", "description", "og"
+ *               ("domain" rules also apply to the domain a capture redirected to;
+ *               "word" keywords match the words of the name, see domains.js)
+ * Rules may be written compactly with `keywords: [...]`, expanded to one rule
+ * per keyword ("<category>:<keyword>", or "<id>:<keyword>" when the rule has
+ * an id). `allow` rules use the same format and only look at the domain name:
+ * a domain matching one of them is not scored on its name, but what its
+ * captures say still counts.
+ * Keyword packs (rules/keyword-packs/<language>.json, override the directory
+ * with KEYWORD_PACKS_DIR) add local terms ("paris sportifs", "apuestas"...)
+ * in the same format and categories. Packs are chosen per run and, by
+ * default, also applied to each snapshot in its detected language.
+ * Keyword profiles (see profiles.js) add block keywords, weights and allowed
+ * domains on top of the rules file, per run.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { detectCompromise } from "./compromise.js";
+import { analyzeDomainName, domainWords } from "./domains.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RULES_FILE = path.join(__dirname, "..", "rules", "spam-rules.json");
+export const DEFAULT_PACKS_DIR = path.join(__dirname, "..", "rules", "keyword-packs");
+
+// AI categories that count as spam when the classifier config doesn't say
+// (see `spam` in rules/classifier.json).
+export const SPAM_CATEGORIES = [
+  "Casino/Jeux",
+  "Contenu adulte",
+  "Spam/Suspect",
+  "Pharma/Santé",
+  "Finance suspect",
+  "Contrefaçon",
+  "Piratage",
+];
+
+// Fallback category for keywords no rule knows about (custom keywords).
+export const DEFAULT_CATEGORY = "Spam/Suspect";
+
+const MATCH_MODES = ["word", "substring", "regex"];
+const FIELDS = ["domain", "title", "description", "og"];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileRule(rule, source) {
+  const match = rule.match || "word";
+  if (!MATCH_MODES.includes(match)) {
+    throw new Error(`${source}: rule "${rule.id}" has unknown match mode "${match}"`);
+  }
+  const fields = rule.fields || FIELDS;
+  const badField = fields.find((f) => !FIELDS.includes(f));
+  if (badField) {
+    throw new Error(`${source}: rule "${rule.id}" has unknown field "${badField}"`);
+  }
+  const pattern = String(rule.pattern ?? "");
+  if (!pattern) throw new Error(`${source}: rule "${rule.id}" has no pattern`);
+
+  let regex;
+  if (match === "regex") {
+    regex = new RegExp(pattern, "iu");
+  } else {
+    const escaped = escapeRegExp(pattern.toLowerCase());
+    regex =
+      match === "word"
+        ? new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "iu")
+        : new RegExp(escaped, "iu");
+  }
+
+  return {
+    id: rule.id,
+    category: rule.category || DEFAULT_CATEGORY,
+    weight: Number(rule.weight ?? 1),
+    match,
+    pattern,
+    fields,
+    regex,
+  };
+}
+
+function expandRules(list = [], source) {
+  const out = [];
+  for (const rule of list) {
+    if (Array.isArray(rule.keywords)) {
+      const { keywords, ...rest } = rule;
+      for (const keyword of keywords) {
+        out.push(compileRule({ ...rest, id: `${rest.id || rest.category}:${keyword}`, pattern: keyword }, source));
+      }
+    } else {
+      out.push(compileRule({ ...rule, id: rule.id || `${rule.category}:${rule.pattern}` }, source));
+    }
+  }
+  return out;
+}
+
+const cache = new Map();
+
+/**
+ * Load and compile a rules file (cached per path).
+ * @param {string} [file]
+ * @returns {{file: string, threshold: number, rules: object[], allow: object[]}}
+ */
+export function loadRules(file = process.env.SPAM_RULES_FILE || DEFAULT_RULES_FILE) {
+  const resolved = path.resolve(file);
+  if (cache.has(resolved)) return cache.get(resolved);
+
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  const ruleset = {
+    file: resolved,
+    threshold: Number(raw.threshold ?? 1),
+    rules: expandRules(raw.rules, resolved),
+    allow: expandRules(raw.allow, resolved),
+  };
+  cache.set(resolved, ruleset);
+  return ruleset;
+}
+
+const packCache = new Map();
+
+/**
+ * Load the keyword packs of a directory, one `<language>.json` file each
+ * (`{ language, label, rules }`, rules in the spam rules format; cached per
+ * directory). Pack rule ids are prefixed with the language ("fr:Casino/Jeux:paris sportifs").
+ * @param {string} [dir]
+ * @returns {Map<string, {language: string, label: string, file: string, rules: object[]}>}
+ */
+export function loadKeywordPacks(dir = process.env.KEYWORD_PACKS_DIR || DEFAULT_PACKS_DIR) {
+  const resolved = path.resolve(dir);
+  if (packCache.has(resolved)) return packCache.get(resolved);
+
+  const packs = new Map();
+  for (const name of fs.readdirSync(resolved).filter((f) => f.endsWith(".json")).sort()) {
+    const file = path.join(resolved, name);
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const language = String(raw.language || path.basename(name, ".json")).toLowerCase();
+    packs.set(language, {
+      language,
+      label: raw.label || language,
+      file,
+      rules: expandRules(raw.rules, file).map((rule) => ({ ...rule, id: `${language}:${rule.id}`, pack: language })),
+    });
+  }
+  packCache.set(resolved, packs);
+  return packs;
+}
+
+/**
+ * Return a copy of the ruleset extended with the rules of some keyword packs.
+ * Unknown languages are ignored, as are pack keywords the ruleset already has
+ * (a keyword counts once).
+ * @param {object} ruleset from loadRules()
+ * @param {string[]} languages pack names
+ * @param {Map} [packs] from loadKeywordPacks()
+ */
+export function withKeywordPacks(ruleset, languages = [], packs = loadKeywordPacks()) {
+  const known = new Set(ruleset.rules.filter((r) => r.match !== "regex").map((r) => r.pattern.toLowerCase()));
+  const extra = [];
+  for (const language of new Set(languages)) {
+    for (const rule of packs.get(language)?.rules || []) {
+      const key = rule.pattern.toLowerCase();
+      if (rule.match !== "regex" && known.has(key)) continue;
+      known.add(key);
+      extra.push(rule);
+    }
+  }
+  return extra.length ? { ...ruleset, rules: [...ruleset.rules, ...extra] } : ruleset;
+}
+
+/**
+ * Category of a known keyword (spam rules first, then keyword packs), or
+ * DEFAULT_CATEGORY.
+ */
+export function categorizeKeyword(keyword, ruleset = loadRules(), packs = loadKeywordPacks()) {
+  const kw = String(keyword).toLowerCase();
+  const same = (r) => r.match !== "regex" && r.pattern.toLowerCase() === kw;
+  const rule = ruleset.rules.find(same) || [...packs.values()].flatMap((p) => p.rules).find(same);
+  return rule ? rule.category : DEFAULT_CATEGORY;
+}
+
+/**
+ * Return a copy of the ruleset extended with whole-word rules for custom
+ * keywords (weight 1, category looked up from the existing rules).
+ */
+export function withCustomKeywords(ruleset, keywords = []) {
+  const extra = keywords
+    .map((k) => String(k).trim().toLowerCase())
+    .filter(Boolean)
+    .map((keyword) =>
+      compileRule(
+        { id: `custom:${keyword}`, category: categorizeKeyword(keyword, ruleset), weight: 1, pattern: keyword },
+        "custom keywords"
+      )
+    );
+  return { ...ruleset, rules: [...ruleset.rules, ...extra] };
+}
+
+/**
+ * Return a copy of the ruleset with a keyword profile applied (see
+ * profiles.js): block keywords the rules already have take the profile's
+ * weight and category, the others are added as whole-word rules
+ * ("profile:<keyword>"); allowed domains and words become allow rules, after
+ * or instead of the file's (`defaultAllow`); `threshold` replaces the file's.
+ * A weight of 0 turns a keyword off, keyword packs included.
+ * @param {object} ruleset from loadRules()
+ * @param {object} profile from normalizeProfile() / the profile store
+ */
+export function withProfile(ruleset, profile) {
+  const block = new Map((profile.block || []).map((b) => [b.keyword.toLowerCase(), b]));
+  const overridden = new Set();
+  const rules = ruleset.rules.map((rule) => {
+    const entry = rule.match !== "regex" && block.get(rule.pattern.toLowerCase());
+    if (!entry) return rule;
+    overridden.add(entry.keyword);
+    return { ...rule, weight: entry.weight, category: entry.category || rule.category };
+  });
+  const source = `profile ${profile.name}`;
+  for (const entry of block.values()) {
+    if (overridden.has(entry.keyword)) continue;
+    rules.push(
+      compileRule(
+        {
+          id: `profile:${entry.keyword}`,
+          category: entry.category || categorizeKeyword(entry.keyword, ruleset),
+          weight: entry.weight,
+          pattern: entry.keyword,
+        },
+        source
+      )
+    );
+  }
+
+  // "example.com" allows the domain and its subdomains, "news" a word of the name
+  const allow = (profile.allow || []).map((entry) =>
+    entry.includes(".")
+      ? compileRule({ id: `profile:allow:${entry}`, match: "regex", pattern: `(?:^|\\.)${escapeRegExp(entry)}$`, fields: ["domain"] }, source)
+      : compileRule({ id: `profile:allow:${entry}`, pattern: entry, fields: ["domain"] }, source)
+  );
+
+  return {
+    ...ruleset,
+    threshold: profile.threshold ?? ruleset.threshold,
+    rules,
+    allow: [...(profile.defaultAllow === false ? [] : ruleset.allow), ...allow],
+  };
+}
+
+function fieldValues(field, snapshot) {
+  if (field === "og") {
+    return [
+      ["og_title", snapshot.og_title],
+      ["og_description", snapshot.og_description],
+    ];
+  }
+  return [[field, snapshot[field]]];
+}
+
+// Domain names are concatenated words ("bestcasino.com"): whole-word keywords
+// are matched against the words of the name ("best casino"), substrings and
+// regexes against the name itself.
+function matchRules(rules, field, name, value, words = value) {
+  const matches = [];
+  if (!value) return matches;
+  for (const rule of rules) {
+    // A profile can turn a keyword off with a weight of 0
+    if (!rule.fields.includes(field) || rule.weight === 0) continue;
+    const m = rule.regex.exec(field === "domain" && rule.match === "word" ? words : value);
+    if (m) {
+      matches.push({ rule: rule.id, category: rule.category, weight: rule.weight, field: name, match: m[0] });
+    }
+  }
+  return matches;
+}
+
+// Each rule counts once, whatever the number of fields/snapshots it matched in.
+function scoreMatches(matches) {
+  const weights = new Map();
+  for (const m of matches) weights.set(m.rule, Math.max(weights.get(m.rule) || 0, m.weight));
+  let score = 0;
+  for (const w of weights.values()) score += w;
+  return Math.round(score * 100) / 100;
+}
+
+function topCategory(matches) {
+  const byCategory = new Map();
+  for (const m of matches) byCategory.set(m.category, (byCategory.get(m.category) || 0) + m.weight);
+  let best = null;
+  for (const [category, weight] of byCategory) {
+    if (!best || weight > best.weight) best = { category, weight };
+  }
+  return best ? best.category : null;
+}
+
+/**
+ * Classify one snapshot on its title/description/OG fields, and on the domain
+ * it redirected to, if any (matched like the audited domain name).
+ * @returns {{score: number, matches: object[]}}
+ */
+export function classifySnapshot(snapshot, ruleset = loadRules()) {
+  const matches = [];
+  for (const field of ["title", "description", "og"]) {
+    for (const [name, value] of fieldValues(field, snapshot)) {
+      matches.push(...matchRules(ruleset.rules, field, name, value));
+    }
+  }
+  if (snapshot.redirect_external && snapshot.redirect_domain) {
+    const words = domainWords(snapshot.redirect_domain, { ruleset }).join(" ");
+    matches.push(...matchRules(ruleset.rules, "domain", "redirect_domain", snapshot.redirect_domain, words));
+  }
+  // AI category (see lib/classifier.js) counts as a full-weight match.
+  const aiSpam = snapshot.category_spam ?? SPAM_CATEGORIES.includes(snapshot.category);
+  if (snapshot.category && aiSpam) {
+    matches.push({ rule: `ai:${snapshot.category}`, category: snapshot.category, weight: 1, field: "category", match: snapshot.category });
+  }
+  return { score: scoreMatches(matches), matches };
+}
+
+/**
+ * Classify a domain result ({ domain, snapshots }) in place: sets `spam` on
+ * every snapshot, and `spam` + `spamCategory` on the result, plus the
+ * separate hacked-site verdict `compromised` (see compromise.js) and the
+ * domain-name risk `domain_risk` (see domains.js).
+ * Each snapshot is matched with the selected keyword packs plus, with
+ * `autoPacks`, the pack of its detected `language`; the domain name with all
+ * the packs used. The verdict lists them in `packs`.
+ * Parking / for-sale snapshots (see parking.js) say nothing about the site:
+ * they get `spam: { score: 0, matches: [], skipped: "parked" }` and don't count.
+ * The verdict lists every match with its field and, for snapshot fields, the
+ * snapshot it came from. When an allow rule matches the domain, the matches
+ * on the name are kept but marked `suppressed_by` and no longer count, so the
+ * override stays visible; matches in the captures still count, and a domain
+ * they flag anyway is `allowed_but_matched`.
+ * @param {{domain: string, snapshots: object[]}} result
+ * @param {object} [options]
+ * @param {object} [options.ruleset]          from loadRules()
+ * @param {string[]} [options.customKeywords]
+ * @param {object} [options.profile]         keyword profile (see withProfile)
+ * @param {string[]} [options.packs]          keyword packs applied to every snapshot
+ * @param {boolean} [options.autoPacks]       also the pack of each snapshot's language
+ * @param {Map} [options.keywordPacks]        from loadKeywordPacks()
+ * @returns {{is_spam: boolean, score: number, threshold: number, category: string|null,
+ *   matches: object[], allow: object[], allowed_by: string|null, suppressed: boolean,
+ *   allowed_but_matched: boolean, packs: string[], profile: string|null}}
+ */
+export function classifyDomain(
+  result,
+  { ruleset = loadRules(), customKeywords = [], profile = null, packs = [], autoPacks = true, keywordPacks = loadKeywordPacks() } = {}
+) {
+  const profiled = profile ? withProfile(ruleset, profile) : ruleset;
+  const base = customKeywords.length ? withCustomKeywords(profiled, customKeywords) : profiled;
+  const domain = String(result.domain || "").toLowerCase();
+  const snapshots = result.snapshots || [];
+
+  // Packs of a snapshot: the selected ones, plus its own language's
+  const packsOf = (snapshot) => {
+    const own = autoPacks && snapshot.language && keywordPacks.has(snapshot.language) ? [snapshot.language] : [];
+    return [...new Set([...packs.filter((p) => keywordPacks.has(p)), ...own])];
+  };
+  const byPacks = new Map();
+  const rulesFor = (languages) => {
+    const key = languages.join(",");
+    if (!byPacks.has(key)) byPacks.set(key, withKeywordPacks(base, languages, keywordPacks));
+    return byPacks.get(key);
+  };
+  const used = [...new Set(snapshots.filter((s) => !s.parking && !s.error).flatMap(packsOf).concat(packsOf({})))].sort();
+  const rules = rulesFor(used);
+
+  const words = domainWords(domain, { ruleset: rules, keywordPacks }).join(" ");
+  const matches = matchRules(rules.rules, "domain", "domain", domain, words);
+  for (const snapshot of snapshots) {
+    if (snapshot.parking) {
+      snapshot.spam = { score: 0, matches: [], skipped: "parked" };
+      continue;
+    }
+    snapshot.spam = classifySnapshot(snapshot, rulesFor(packsOf(snapshot)));
+    matches.push(
+      ...snapshot.spam.matches.map((m) => ({ ...m, timestamp: snapshot.timestamp, snapshot: snapshot.snapshot }))
+    );
+  }
+
+  const allow = matchRules(rules.allow, "domain", "domain", domain, words).map(({ rule, field, match }) => ({ rule, field, match }));
+  const allowed_by = allow.length ? allow[0].rule : null;
+  if (allowed_by) {
+    for (const m of matches) if (m.field === "domain") m.suppressed_by = allowed_by;
+  }
+
+  const counted = matches.filter((m) => !m.suppressed_by);
+  const score = scoreMatches(counted);
+  const is_spam = score >= rules.threshold;
+  const verdict = {
+    is_spam,
+    score,
+    threshold: rules.threshold,
+    category: topCategory(counted),
+    matches,
+    allow,
+    allowed_by,
+    // true when the matches on the name would have flagged the domain
+    suppressed: !is_spam && scoreMatches(matches) >= rules.threshold,
+    // allowed name, but the captures are spam all the same
+    allowed_but_matched: Boolean(allowed_by) && is_spam,
+    packs: used,
+    profile: profile ? profile.name : null,
+  };
+
+  result.spam = verdict;
+  result.spamCategory = verdict.is_spam ? verdict.category : null;
+  result.compromised = detectCompromise(result, { ruleset: rules });
+  result.domain_risk = analyzeDomainName(domain, { ruleset: rules, keywordPacks });
+  return verdict;
+}
@@ -0,0 +1,485 @@
+/**
+ * WARC support.
+ * - Import: run the extractor on local crawl archives (WARC 1.0/1.1, plain or
+ *   gzip, including one gzip member per record). HTML `response` records
+ *   become snapshots with the same fields as a Wayback run, grouped by host
+ *   into domain results; no network access is involved.
+ * - Export: createWarcWriter() records the snapshot bodies fetched during a
+ *   run (with their HTTP headers) so the evidence behind a verdict can be
+ *   replayed later with standard tools.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { Readable, pipeline } from "stream";
+import { setImmediate } from "timers/promises";
+import crypto from "crypto";
+import { STATUS_CODES } from "http";
+import { extractFromHtml, buildDomainResult, selectRows, USER_AGENT } from "./wayback.js";
+import { decodeHtml } from "./charset.js";
+
+const CRLF2 = Buffer.from("\r\n\r\n");
+
+function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of text.split(/\r?\n/)) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+// Record starting at `pos` (CRLF separators skipped): null when `data` ends
+// before the record does, unless `final` (a truncated block is kept as is)
+function parseRecord(data, pos, final) {
+  while (pos < data.length && (data[pos] === 0x0d || data[pos] === 0x0a)) pos++;
+  if (pos >= data.length) return null;
+  const headerEnd = data.indexOf(CRLF2, pos);
+  if (headerEnd === -1) {
+    if (data.length - pos >= 5 && data.toString("latin1", pos, pos + 5) !== "WARC/") {
+      throw new Error(`Invalid WARC record at offset ${pos}: ${data.toString("latin1", pos, pos + 40)}`);
+    }
+    return null;
+  }
+  const [versionLine, ...lines] = data.subarray(pos, headerEnd).toString("utf8").split("\r\n");
+  if (!versionLine.startsWith("WARC/")) {
+    throw new Error(`Invalid WARC record at offset ${pos}: ${versionLine.slice(0, 40)}`);
+  }
+  const headers = parseHeaderLines(lines.join("\n"));
+  const length = parseInt(headers["content-length"], 10) || 0;
+  const start = headerEnd + CRLF2.length;
+  if (!final && start + length > data.length) return null;
+  return { version: versionLine, headers, block: data.subarray(start, start + length), offset: pos, next: start + length };
+}
+
+/**
+ * Iterate over the records of a WARC file.
+ * @param {Buffer} buffer raw file content (gzip is detected)
+ * @returns {Generator<{version: string, headers: object, block: Buffer, offset: number}>}
+ */
+export function* readWarcRecords(buffer) {
+  // Node inflates concatenated gzip members (record-at-a-time .warc.gz) in one go
+  const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+  let pos = 0;
+  let record;
+  while ((record = parseRecord(data, pos, true))) {
+    const { next, ...rest } = record;
+    yield rest;
+    pos = next;
+  }
+}
+
+/**
+ * Iterate over the records of a WARC stream (e.g. an upload) without holding
+ * the whole file: gzip is inflated as it arrives, and only the record being
+ * read is buffered.
+ * @param {AsyncIterable<Buffer>} stream raw file content (gzip is detected)
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] fail once more raw bytes than this were read,
+ *   or a single inflated record is larger
+ * @returns {AsyncGenerator<{version: string, headers: object, block: Buffer, offset: number}>}
+ */
+export async function* readWarcStream(stream, { maxBytes = Infinity } = {}) {
+  const input = stream[Symbol.asyncIterator]();
+  const first = await input.next();
+  if (first.done) return;
+  const gzip = first.value[0] === 0x1f && first.value[1] === 0x8b;
+  async function* raw() {
+    let total = 0;
+    for (let chunk = first; !chunk.done; chunk = await input.next()) {
+      total += chunk.value.length;
+      if (total > maxBytes) throw new Error(`file larger than ${maxBytes} bytes`);
+      yield chunk.value;
+    }
+  }
+  const chunks = gzip ? pipeline(Readable.from(raw()), zlib.createGunzip(), () => {}) : raw();
+
+  let data = Buffer.alloc(0);
+  let offset = 0; // position of data[0] in the inflated file
+  let pos = 0;
+  let pending = [];
+  let pendingLength = 0;
+  const drain = function* (final) {
+    data = Buffer.concat([data.subarray(pos), ...pending]);
+    offset += pos;
+    pos = 0;
+    pending = [];
+    pendingLength = 0;
+    let record;
+    while ((record = parseRecord(data, pos, final))) {
+      const { next, ...rest } = record;
+      yield { ...rest, offset: offset + rest.offset };
+      pos = next;
+    }
+  };
+  for await (const chunk of chunks) {
+    pending.push(chunk);
+    pendingLength += chunk.length;
+    // Only the record being read is buffered, but a gzip bomb could make it huge
+    if (data.length - pos + pendingLength > maxBytes) throw new Error(`record larger than ${maxBytes} bytes`);
+    // Parse again once the buffer can have doubled: a large record is not
+    // copied over and over while it arrives
+    if (pendingLength >= Math.max(64 * 1024, data.length - pos)) yield* drain(false);
+  }
+  yield* drain(true);
+}
+
+function dechunk(body) {
+  const parts = [];
+  let pos = 0;
+  while (pos < body.length) {
+    const lineEnd = body.indexOf("\r\n", pos);
+    if (lineEnd === -1) break;
+    const size = parseInt(body.slice(pos, lineEnd).toString("latin1"), 16);
+    if (!size) break;
+    parts.push(body.slice(lineEnd + 2, lineEnd + 2 + size));
+    pos = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+}
+
+function decode(body, encoding) {
+  try {
+    if (encoding === "gzip" || encoding === "x-gzip") return zlib.gunzipSync(body);
+    if (encoding === "deflate") return zlib.inflateSync(body);
+    if (encoding === "br") return zlib.brotliDecompressSync(body);
+  } catch {
+    // Truncated or mislabeled payload: keep the bytes as recorded
+  }
+  return body;
+}
+
+/**
+ * Parse the HTTP response stored in a `response` record block.
+ * Transfer and content encodings are undone, as a browser would.
+ * @param {Buffer} block
+ * @returns {{status: number, headers: object, body: Buffer}|null}
+ */
+export function parseHttpResponse(block) {
+  const headerEnd = block.indexOf(CRLF2);
+  if (headerEnd === -1) return null;
+  const [statusLine, ...lines] = block.slice(0, headerEnd).toString("latin1").split("\r\n");
+  const m = /^HTTP\/[\d.]+\s+(\d{3})/.exec(statusLine);
+  if (!m) return null;
+  const headers = parseHeaderLines(lines.join("\n"));
+  let body = block.slice(headerEnd + CRLF2.length);
+  if (/chunked/i.test(headers["transfer-encoding"] || "")) body = dechunk(body);
+  body = decode(body, (headers["content-encoding"] || "").toLowerCase());
+  return { status: Number(m[1]), headers, body };
+}
+
+// "2020-01-01T12:00:00Z" (WARC-Date) to a 14-digit timestamp
+function toTimestamp(date) {
+  return date.replace(/[^\d]/g, "").slice(0, 14).padEnd(14, "0");
+}
+
+// HTML 200 response stored in a record, null for anything else
+function htmlResponse(record) {
+  if ((record.headers["warc-type"] || "").toLowerCase() !== "response") return null;
+  const uri = (record.headers["warc-target-uri"] || "").replace(/^<|>$/g, "");
+  if (!/^https?:\/\//i.test(uri)) return null;
+  const http = parseHttpResponse(record.block);
+  if (!http || http.status !== 200) return null;
+  if (!/text\/html|application\/xhtml/i.test(http.headers["content-type"] || "")) return null;
+  return {
+    timestamp: toTimestamp(record.headers["warc-date"] || ""),
+    uri,
+    status: http.status,
+    headers: http.headers,
+    body: http.body,
+    digest: (record.headers["warc-payload-digest"] || "").replace(/^sha1:/i, "") || null,
+    id: (record.headers["warc-record-id"] || "").replace(/^<|>$/g, ""),
+  };
+}
+
+/**
+ * HTML 200 responses of a WARC file.
+ * @param {Buffer} buffer
+ * @returns {Array<{timestamp, uri, status, headers, body, digest, id}>}
+ */
+export function warcHtmlResponses(buffer) {
+  const responses = [];
+  for (const record of readWarcRecords(buffer)) {
+    const response = htmlResponse(record);
+    if (response) responses.push(response);
+  }
+  return responses;
+}
+
+function hostOf(uri) {
+  return new URL(uri).hostname.toLowerCase().replace(/^www\./, "");
+}
+
+function isHomepage(uri) {
+  const { pathname, search } = new URL(uri);
+  return (pathname === "/" || pathname === "") && !search;
+}
+
+// Groups the HTML responses kept by the import options by host
+function responseGrouper({ domain, allPages, from, to }) {
+  const lo = from ? String(from).padEnd(14, "0") : null;
+  const hi = to ? String(to).padEnd(14, "9") : null;
+  const wanted = domain ? domain.toLowerCase().replace(/^www\./, "") : null;
+  const byHost = new Map();
+  const add = (response) => {
+    const host = hostOf(response.uri);
+    if (wanted && host !== wanted) return;
+    if (!allPages && !isHomepage(response.uri)) return;
+    if ((lo && response.timestamp < lo) || (hi && response.timestamp > hi)) return;
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(response);
+  };
+  return { byHost, add };
+}
+
+// Snapshot of one selected response, same fields as a Wayback run
+function toSnapshot(r, file) {
+  const { html, charset, charset_source } = decodeHtml(r.body, r.headers);
+  return {
+    timestamp: r.timestamp,
+    snapshot: r.id,
+    original: r.uri,
+    status: String(r.status),
+    length: r.body.length,
+    digest: r.digest,
+    source: "warc",
+    warc_file: file,
+    ...extractFromHtml(html, { url: r.uri, charset, charsetSource: charset_source }),
+  };
+}
+
+/**
+ * Extract domain results from a WARC file, one per host (www. ignored).
+ * Like a Wayback run, only homepage captures count unless `allPages` is set.
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {string} [options.file]        file name, kept on each snapshot as `warc_file`
+ * @param {string} [options.domain]      only this host
+ * @param {boolean} [options.allPages=false] every HTML page, not only the homepage
+ * @param {number} [options.n]           keep the last N captures per domain (default: all)
+ * @param {"year"|"quarter"|"month"} [options.timeline]
+ * @param {string} [options.from]
+ * @param {string} [options.to]
+ * @param {number} [options.driftThreshold]
+ * @param {(snapshot: object) => void} [options.onSnapshot]
+ * @returns {object[]} domain results, same shape as extractDomain
+ */
+export function importWarc(buffer, { file = null, domain = null, allPages = false, n, timeline = null, from, to, driftThreshold, onSnapshot } = {}) {
+  const { byHost, add } = responseGrouper({ domain, allPages, from, to });
+  for (const response of warcHtmlResponses(buffer)) add(response);
+
+  return [...byHost.entries()].map(([host, responses]) => {
+    const snapshots = selectRows(responses, { n: n ?? Infinity, timeline }).map((r) => {
+      const snapshot = toSnapshot(r, file);
+      if (onSnapshot) onSnapshot(snapshot);
+      return snapshot;
+    });
+    return buildDomainResult(host, snapshots, { timeline, driftThreshold });
+  });
+}
+
+/**
+ * importWarc() for a stream (e.g. an HTTP upload): records are read as they
+ * arrive (see readWarcStream) and the event loop gets a turn between records
+ * and between snapshots, so a large file does not stall a server.
+ * Only the HTML responses matching the options are kept in memory.
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {object} [options] see importWarc, plus:
+ * @param {number} [options.maxBytes] see readWarcStream
+ * @returns {Promise<object[]>} domain results
+ */
+export async function importWarcStream(stream, { file = null, domain = null, allPages = false, n, timeline = null, from, to, driftThreshold, onSnapshot, maxBytes } = {}) {
+  const { byHost, add } = responseGrouper({ domain, allPages, from, to });
+  for await (const record of readWarcStream(stream, { maxBytes })) {
+    const response = htmlResponse(record);
+    // Copied: the record block is a view on the read buffer, kept alive otherwise
+    if (response) add({ ...response, body: Buffer.from(response.body) });
+    await setImmediate();
+  }
+
+  const results = [];
+  for (const [host, responses] of byHost) {
+    const snapshots = [];
+    for (const r of selectRows(responses, { n: n ?? Infinity, timeline })) {
+      const snapshot = toSnapshot(r, file);
+      if (onSnapshot) onSnapshot(snapshot);
+      snapshots.push(snapshot);
+      await setImmediate();
+    }
+    results.push(buildDomainResult(host, snapshots, { timeline, driftThreshold }));
+  }
+  return results;
+}
+
+// ----------------------- export -----------------------
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// WARC digests are base32-encoded SHA-1 ("sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ")
+function sha1Base32(data) {
+  const bytes = crypto.createHash("sha1").update(data).digest();
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return `sha1:${out}`;
+}
+
+// 14-digit archive timestamp to a WARC-Date ("2020-01-01T00:00:00Z")
+function toWarcDate(timestamp) {
+  const t = String(timestamp || "").padEnd(14, "0");
+  return `${t.slice(0, 4)}-${t.slice(4, 6)}-${t.slice(6, 8)}T${t.slice(8, 10)}:${t.slice(10, 12)}:${t.slice(12, 14)}Z`;
+}
+
+// Headers that no longer describe the stored body (fetch already decoded it)
+const HOP_HEADERS = new Set(["content-encoding", "transfer-encoding", "content-length", "connection", "keep-alive"]);
+
+/**
+ * HTTP headers to store for a snapshot. Wayback-style archives return the
+ * original site headers as X-Archive-Orig-*: those are kept when present.
+ */
+function originalHeaders(headers = {}) {
+  const orig = Object.entries(headers).filter(([k]) => k.toLowerCase().startsWith("x-archive-orig-"));
+  const entries = orig.length
+    ? orig.map(([k, v]) => [k.slice("x-archive-orig-".length), v]).concat(
+        Object.entries(headers).filter(([k]) => k.toLowerCase() === "content-type")
+      )
+    : Object.entries(headers);
+  return entries.filter(([k]) => !HOP_HEADERS.has(k.toLowerCase()));
+}
+
+// @returns {{id: string, data: Buffer}} record id and gzipped record
+function record(type, fields, block) {
+  const id = `<urn:uuid:${crypto.randomUUID()}>`;
+  const head = [
+    "WARC/1.0",
+    `WARC-Type: ${type}`,
+    `WARC-Record-ID: ${id}`,
+    ...Object.entries(fields).filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`),
+    `Content-Length: ${block.length}`,
+  ].join("\r\n");
+  // One gzip member per record, as expected by replay tools for .warc.gz
+  return { id, data: zlib.gzipSync(Buffer.concat([Buffer.from(head + "\r\n\r\n"), block, Buffer.from("\r\n\r\n")])) };
+}
+
+// Record id of the warcinfo record opening an existing .warc.gz. Only the
+// first gzip member is inflated, read in growing slices until its WARC
+// header is complete; a file that does not open with one is not appended to.
+function warcinfoIdOf(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    for (let length = 64 * 1024; ; length *= 4) {
+      const head = Buffer.alloc(Math.min(length, size));
+      const read = fs.readSync(fd, head, 0, head.length, 0);
+      let text = "";
+      try {
+        text = zlib.gunzipSync(head.subarray(0, read), { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString("latin1");
+      } catch (err) {
+        throw new Error(`${file} is not a .warc.gz file (${err.message}), not appending to it`);
+      }
+      const headerEnd = text.indexOf("\r\n\r\n");
+      if (headerEnd !== -1) {
+        const headers = parseHeaderLines(text.slice(0, headerEnd));
+        if (!text.startsWith("WARC/") || headers["warc-type"] !== "warcinfo" || !headers["warc-record-id"]) {
+          throw new Error(`${file} does not start with a warcinfo record, not appending to it`);
+        }
+        return headers["warc-record-id"];
+      }
+      if (read >= size) throw new Error(`${file}: truncated warcinfo record, not appending to it`);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append-only .warc.gz writer. A warcinfo record is written when the file is
+ * created; reopening an existing file (e.g. the next domain of a job, or a
+ * resumed job) appends to it, its records pointing to the same warcinfo.
+ * @param {string} file
+ * @param {object} [info] extra warcinfo fields
+ * @returns {{file: string, records: number, writeResponse: Function}}
+ */
+export function createWarcWriter(file, info = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let warcinfoId = null;
+  const writer = {
+    file,
+    records: 0,
+
+    /**
+     * Store one fetched snapshot as a `response` record. The archive URL it
+     * was read from goes in a `metadata` record concurrent to it (`replay-url`).
+     * @param {object} snapshot
+     * @param {string} snapshot.targetUri  original URL of the capture
+     * @param {string} snapshot.timestamp  capture timestamp (WARC-Date)
+     * @param {number} snapshot.status
+     * @param {object} snapshot.headers    response headers as received
+     * @param {Buffer} snapshot.body
+     * @param {string} [snapshot.sourceUri] archive URL the body was read from
+     */
+    writeResponse({ targetUri, timestamp, status, headers, body, sourceUri }) {
+      const code = status || 200;
+      const head = [`HTTP/1.1 ${code} ${STATUS_CODES[code] || ""}`.trim()]
+        .concat(originalHeaders(headers).map(([k, v]) => `${k}: ${v}`))
+        .concat(`Content-Length: ${body.length}`)
+        .join("\r\n");
+      const block = Buffer.concat([Buffer.from(head + "\r\n\r\n", "latin1"), body]);
+      const date = toWarcDate(timestamp);
+      const response = record(
+        "response",
+        {
+          "WARC-Date": date,
+          "WARC-Target-URI": targetUri,
+          "WARC-Warcinfo-ID": warcinfoId,
+          "WARC-Payload-Digest": sha1Base32(body),
+          "WARC-Block-Digest": sha1Base32(block),
+          "Content-Type": "application/http; msgtype=response",
+        },
+        block
+      );
+      const parts = [response.data];
+      if (sourceUri) {
+        const metadata = record(
+          "metadata",
+          {
+            "WARC-Date": date,
+            "WARC-Target-URI": targetUri,
+            "WARC-Concurrent-To": response.id,
+            "WARC-Warcinfo-ID": warcinfoId,
+            "Content-Type": "application/warc-fields",
+          },
+          Buffer.from(`replay-url: ${sourceUri}\r\n`)
+        );
+        parts.push(metadata.data);
+      }
+      fs.appendFileSync(file, Buffer.concat(parts));
+      writer.records++;
+    },
+  };
+
+  if (!fs.existsSync(file)) {
+    const fields = { software: USER_AGENT, format: "WARC File Format 1.0", ...info };
+    const block = Buffer.from(Object.entries(fields).map(([k, v]) => `${k}: ${v}`).join("\r\n") + "\r\n");
+    const { id, data } = record(
+      "warcinfo",
+      { "WARC-Date": new Date().toISOString().replace(/\.\d+Z$/, "Z"), "WARC-Filename": path.basename(file), "Content-Type": "application/warc-fields" },
+      block
+    );
+    warcinfoId = id;
+    fs.writeFileSync(file, data);
+  } else {
+    warcinfoId = warcinfoIdOf(file);
+  }
+  return writer;
+}
@@ -0,0 +1,872 @@
+/**
+ * Wayback CDX extractor — shared core
+ * Used by the CLI (wayback-last.mjs) and the web server (server.js), and
+ * importable from any Node script:
+ *
+ *   import { extractDomain } from "wayback-cdx-extractor";
+ *   const { domain, snapshots } = await extractDomain("example.com", { n: 5 });
+ *
+ * Each snapshot object has the shape:
+ *   { timestamp, snapshot, original, status, length, digest,
+ *     title, description, canonical, robots, og_title, og_description, h1_count,
+ *     lang, drift_score, error? }
+ */
+
+import fetch from "node-fetch";
+import * as cheerio from "cheerio";
+import { detectTopicChanges } from "./drift.js";
+import { analyzeLinks } from "./links.js";
+import { detectParking } from "./parking.js";
+import { findHiddenContent } from "./compromise.js";
+import { decodeHtml } from "./charset.js";
+import { detectLanguage, languageChanges, textScripts } from "./language.js";
+import { archiveLimiter, parseRetryAfter, mapConcurrent } from "./limiter.js";
+import { defaultCache } from "./cache.js";
+import { getMementoRows, limiterFor, resolveSources } from "./memento.js";
+
+export const USER_AGENT = "wayback-cdx-extractor/1.0 (+https://example.local)";
+
+// ----------------------- utils -----------------------
+export async function sleep(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
+
+/**
+ * fetch() with retries and exponential backoff on network errors and 5xx.
+ * Every attempt goes through the shared archive rate limiter (opts.limiter,
+ * null to bypass); a 429 slows the limiter down for all callers, honoring
+ * Retry-After. Throws on any other non-2xx status, except with opts.archived:
+ * an archived 3xx/4xx/5xx capture replayed as is (3xx, or Memento-Datetime set)
+ * is returned like a success.
+ */
+export async function fetchRetry(url, opts = {}, retries = 3, backoffMs = 400) {
+  const { limiter = archiveLimiter, archived = false, ...fetchOpts } = opts;
+  let lastErr;
+  for (let i = 0; i <= retries; i++) {
+    try {
+      if (limiter) await limiter.acquire();
+      const res = await fetch(url, {
+        ...fetchOpts,
+        headers: {
+          "user-agent": USER_AGENT,
+          ...(fetchOpts.headers || {}),
+        },
+      });
+      const replayed = archived && ((res.status >= 300 && res.status < 400) || res.headers.has("memento-datetime"));
+      if (!res.ok && !replayed) {
+        if (res.status === 429 && i < retries) {
+          const waitMs = parseRetryAfter(res.headers.get("retry-after")) ?? backoffMs * Math.pow(2, i);
+          if (limiter) limiter.throttle(waitMs);
+          else await sleep(waitMs);
+          continue;
+        }
+        // 5xx backoff
+        if (res.status >= 500 && i < retries) {
+          await sleep(backoffMs * Math.pow(2, i));
+          continue;
+        }
+        const text = await res.text().catch(() => "");
+        const error = new Error(`HTTP ${res.status} for ${url}\n${text.slice(0, 200)}`);
+        error.status = res.status;
+        throw error;
+      }
+      if (limiter) limiter.success();
+      return res;
+    } catch (err) {
+      lastErr = err;
+      // A client error (404...) will not go away on retry
+      if (err.status >= 400 && err.status < 500) throw err;
+      if (i < retries) {
+        await sleep(backoffMs * Math.pow(2, i));
+        continue;
+      }
+    }
+  }
+  throw lastErr;
+}
+
+// ----------------------- archive endpoint -----------------------
+// Any CDX-server / pywb-compatible archive works: `cdxUrl` is the CDX query
+// endpoint and `replayUrl` the prefix of replay URLs (<replayUrl>/<ts>id_/<url>).
+// A pywb collection only needs `baseUrl` (cdx at <baseUrl>/cdx, replay at <baseUrl>).
+export const DEFAULT_ARCHIVE = {
+  cdxUrl: "https://web.archive.org/cdx/search/cdx",
+  replayUrl: "https://web.archive.org/web",
+};
+
+/**
+ * Fill an archive endpoint from partial options.
+ * @param {{baseUrl?: string, cdxUrl?: string, replayUrl?: string}} [archive]
+ * @returns {{cdxUrl: string, replayUrl: string}}
+ */
+export function resolveArchive({ baseUrl, cdxUrl, replayUrl } = {}) {
+  const trim = (u) => u.replace(/\/+$/, "");
+  const base = baseUrl ? trim(baseUrl) : null;
+  return {
+    cdxUrl: trim(cdxUrl || (base ? `${base}/cdx` : DEFAULT_ARCHIVE.cdxUrl)),
+    replayUrl: trim(replayUrl || base || DEFAULT_ARCHIVE.replayUrl),
+  };
+}
+
+let defaultArchive = resolveArchive({
+  baseUrl: process.env.WAYBACK_ARCHIVE_URL,
+  cdxUrl: process.env.WAYBACK_CDX_URL,
+  replayUrl: process.env.WAYBACK_REPLAY_URL,
+});
+
+/** Change the archive used when no `archive` option is passed (e.g. from CLI flags). */
+export function configureArchive(archive = {}) {
+  defaultArchive = resolveArchive(archive);
+  return defaultArchive;
+}
+
+/** Archive endpoint used by default. */
+export function getArchive() {
+  return { ...defaultArchive };
+}
+
+// Field names of pywb JSON lines, mapped to the CDX API `fl` names
+const CDX_FIELD_ALIASES = { url: "original", mime: "mimetype", status: "statuscode" };
+
+/**
+ * Parse a CDX response into the CDX API output=json shape (header row, then
+ * one array per capture in `fields` order). Accepts that shape as well as
+ * pywb-style JSON lines (one object per capture) and empty bodies.
+ */
+export function parseCdxResponse(text, fields) {
+  const body = text.trim();
+  if (!body) return [];
+  if (body.startsWith("[")) return JSON.parse(body);
+  const rows = body
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      const obj = JSON.parse(line);
+      for (const [from, to] of Object.entries(CDX_FIELD_ALIASES)) {
+        if (obj[to] === undefined && obj[from] !== undefined) obj[to] = obj[from];
+      }
+      return fields.map((f) => obj[f] ?? null);
+    });
+  return [fields, ...rows];
+}
+
+/**
+ * GET a CDX query as JSON, through the CDX cache (cache: false to bypass).
+ * Falls back to an expired cache entry when the archive can't be reached.
+ */
+export async function fetchCdxJson(url, { cache = defaultCache } = {}) {
+  if (cache) {
+    const hit = cache.getCdx(url);
+    if (hit) return hit;
+  }
+  try {
+    const res = await fetchRetry(url);
+    const fields = (new URL(url).searchParams.get("fl") || "").split(",");
+    const json = parseCdxResponse(await res.text(), fields);
+    if (cache) cache.setCdx(url, json);
+    return json;
+  } catch (err) {
+    const stale = cache && cache.getCdx(url, { allowStale: true });
+    if (stale) return stale;
+    throw err;
+  }
+}
+
+/**
+ * GET a snapshot body, through the snapshot cache (cache: false to bypass).
+ * @param {string} snapUrl
+ * @param {object} [options]
+ * @param {string} [options.digest] CDX digest, used as content address
+ * @param {object|false} [options.cache]
+ * @param {object} [options.limiter] rate limiter of the archive holding the capture
+ * @param {string} [options.status] archived status code (CDX): a non-2xx capture
+ *        is returned with its status, a 3xx one without following its Location
+ * @returns {Promise<{body: Buffer, status: number, headers: object, cached: boolean}>}
+ */
+export async function fetchSnapshot(snapUrl, { digest, cache = defaultCache, limiter, status } = {}) {
+  const key = cache ? cache.snapshotKey(snapUrl, digest) : null;
+  if (cache) {
+    const hit = cache.getSnapshot(key);
+    if (hit) return { ...hit, cached: true };
+  }
+  const archived = Boolean(status) && !/^2/.test(String(status));
+  const res = await fetchRetry(snapUrl, {
+    ...(limiter ? { limiter } : {}),
+    ...(archived ? { archived, redirect: /^3/.test(String(status)) ? "manual" : "follow" } : {}),
+  });
+  const body = Buffer.from(await res.arrayBuffer());
+  const headers = Object.fromEntries(res.headers.entries());
+  // url: where the body came from, once the archive resolved the timestamp
+  const url = res.url || snapUrl;
+  if (cache) cache.setSnapshot(key, { body, status: res.status, headers, url });
+  return { body, status: res.status, headers, url, cached: false };
+}
+
+// ----------------------- core -----------------------
+// Timeline sampling: CDX collapse=timestamp:N keeps the first capture of each
+// N-digit timestamp prefix (4 = year, 6 = month). Quarters are derived from months.
+export const TIMELINE_PERIODS = {
+  year: 4,
+  quarter: 6,
+  month: 6,
+};
+
+function quarterKey(timestamp) {
+  const month = parseInt(timestamp.slice(4, 6), 10) || 1;
+  return `${timestamp.slice(0, 4)}Q${Math.floor((month - 1) / 3) + 1}`;
+}
+
+// Timeline mode returns every period, down-sampled evenly above this many
+// captures (10 years of months); `n` only applies to the "last N" mode.
+export const TIMELINE_MAX_CAPTURES = 120;
+
+// Keep at most n rows spread evenly over the list, always keeping first and last.
+function sampleEvenly(rows, n) {
+  if (!n || rows.length <= n) return rows;
+  if (n === 1) return [rows[rows.length - 1]];
+  const picked = [];
+  for (let i = 0; i < n; i++) {
+    picked.push(rows[Math.round((i * (rows.length - 1)) / (n - 1))]);
+  }
+  return picked;
+}
+
+/**
+ * Query the CDX API for HTML/200 captures of a domain (every status with
+ * allStatuses: redirects, client and server errors).
+ * Default mode returns the last N captures; timeline mode returns one capture
+ * per period over the whole archive (or the from/to range), down-sampled
+ * evenly to TIMELINE_MAX_CAPTURES when there are more periods.
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {number} [options.n=5]          number of captures (not in timeline mode)
+ * @param {boolean} [options.unique=false] collapse=digest, i.e. last N *content changes*
+ * @param {"year"|"quarter"|"month"} [options.timeline] sample one capture per period
+ * @param {string} [options.from]         CDX from (YYYY[MM[DD...]])
+ * @param {string} [options.to]           CDX to (YYYY[MM[DD...]])
+ * @param {boolean} [options.allStatuses=false] include 3xx/4xx/5xx captures
+ * @param {object|false} [options.cache]  CDX cache (false to bypass)
+ * @param {object} [options.archive]      archive endpoint (see resolveArchive), default getArchive()
+ * @returns {Promise<Array<{timestamp, original, mimetype, statuscode, digest, length}>>}
+ */
+export async function getCdxRows(domain, { n = 5, unique = false, timeline = null, from, to, allStatuses = false, cache, archive } = {}) {
+  if (timeline && !TIMELINE_PERIODS[timeline]) {
+    throw new Error(`Unknown timeline period "${timeline}" (expected: ${Object.keys(TIMELINE_PERIODS).join(", ")})`);
+  }
+
+  // CDX request
+  // - limit=-N  => last N results (most recent)
+  // - filter=mimetype:text/html & statuscode:200  => HTML OK only
+  //   (allStatuses: any real status; redirects are often archived with mimetype "unk")
+  // - fl=timestamp,original,mimetype,statuscode,digest,length
+  // - fastLatest=true sometimes speeds retrieval of last entries
+  const base = new URL((archive ? resolveArchive(archive) : defaultArchive).cdxUrl);
+  base.searchParams.set("url", domain);
+  base.searchParams.set("output", "json");
+  if (allStatuses) {
+    base.searchParams.append("filter", "mimetype:text/html|unk");
+    base.searchParams.append("filter", "statuscode:[2-5][0-9][0-9]");
+  } else {
+    base.searchParams.append("filter", "mimetype:text/html");
+    base.searchParams.append("filter", "statuscode:200");
+  }
+  base.searchParams.set("fl", "timestamp,original,mimetype,statuscode,digest,length");
+  if (from) base.searchParams.set("from", String(from));
+  if (to) base.searchParams.set("to", String(to));
+  if (timeline) {
+    base.searchParams.append("collapse", `timestamp:${TIMELINE_PERIODS[timeline]}`);
+  } else {
+    base.searchParams.set("fastLatest", "true");
+    base.searchParams.set("limit", `-${n}`);
+  }
+  if (unique) base.searchParams.append("collapse", "digest");
+
+  const json = await fetchCdxJson(base.toString(), { cache });
+  // First row is header when output=json
+  // Each row is array aligned with fl order
+  const rows = json.slice(1).map((r) => ({
+    timestamp: r[0],
+    original: r[1],
+    mimetype: r[2],
+    statuscode: r[3],
+    digest: r[4],
+    length: Number(r[5] ?? 0),
+  }));
+
+  return timeline ? selectRows(rows, { n, timeline }) : rows;
+}
+
+/**
+ * Apply the getCdxRows selection to rows from another source (e.g. Memento
+ * TimeMaps): sorted by timestamp, then the last N captures, or in timeline
+ * mode the first capture of each period (at most TIMELINE_MAX_CAPTURES).
+ * @param {Array<{timestamp: string}>} rows
+ * @param {object} [options]
+ * @param {number} [options.n=5]
+ * @param {"year"|"quarter"|"month"} [options.timeline]
+ */
+export function selectRows(rows, { n = 5, timeline = null } = {}) {
+  const sorted = [...rows].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  if (!timeline) return sorted.slice(-n);
+  // Same as CDX collapse=timestamp:N (first capture per period), quarters derived from months
+  const seen = new Set();
+  const firstPerPeriod = sorted.filter((r) => {
+    const key = timeline === "quarter" ? quarterKey(r.timestamp) : r.timestamp.slice(0, TIMELINE_PERIODS[timeline]);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return sampleEvenly(firstPerPeriod, TIMELINE_MAX_CAPTURES);
+}
+
+export function makeIdUrl(timestamp, original, archive) {
+  // id_ serves raw, un-rewritten HTML (best for parsing)
+  // Ensure no double slashes when original already has scheme
+  const { replayUrl } = archive ? resolveArchive(archive) : defaultArchive;
+  return `${replayUrl}/${timestamp}id_/${original}`;
+}
+
+/**
+ * Fetch one snapshot (id_ URL) and extract its SEO metadata.
+ * @param {string} snapUrl
+ * @param {object} [options]
+ * @param {string} [options.digest]       CDX digest (snapshot cache key)
+ * @param {object|false} [options.cache]  snapshot cache (false to bypass)
+ * @param {object} [options.limiter]      rate limiter of the archive (default archiveLimiter)
+ * @param {object} [options.warc]         WARC writer (lib/warc.js) recording the fetched body
+ * @param {string} [options.timestamp]    capture timestamp, for the WARC record
+ * @param {string} [options.original]     captured URL, for the WARC record
+ * @param {string} [options.status]       archived status code, see fetchSnapshot
+ * @returns {Promise<{title, description, canonical, robots, og_title, og_description, h1_count, lang,
+ *   redirect_url, redirect_domain, redirect_external}>} see extractFromHtml for the other fields
+ */
+export async function extractFromSnapshot(snapUrl, { digest, cache, limiter, warc, timestamp, original, status: archivedStatus } = {}) {
+  const { body, status, headers } = await fetchSnapshot(snapUrl, { digest, cache, limiter, status: archivedStatus });
+  if (warc) {
+    warc.writeResponse({ targetUri: original || snapUrl, timestamp, status, headers, body, sourceUri: snapUrl });
+  }
+  const { html, charset, charset_source } = decodeHtml(body, headers);
+  return {
+    ...extractFromHtml(html, { url: original || snapUrl, charset, charsetSource: charset_source }),
+    ...redirectOf(status, headers, original || snapUrl),
+  };
+}
+
+// Replay URLs wrap the archived target: <replayUrl>/<timestamp>[id_]/<target>
+const REPLAY_PREFIX = /^.*?\/\d{14}(?:[a-z]{2}_)?\/(?=[a-z][a-z0-9+.-]*:)/i;
+
+/**
+ * Redirect target of an archived 3xx capture, from its Location header
+ * (the archived one when the archive exposes it as x-archive-orig-location).
+ * @returns {{redirect_url: string|null, redirect_domain: string|null, redirect_external: boolean}}
+ */
+export function redirectOf(status, headers = {}, pageUrl) {
+  const none = { redirect_url: null, redirect_domain: null, redirect_external: false };
+  const location = headers["x-archive-orig-location"] || headers.location;
+  if (!location || !(status >= 300 && status < 400)) return none;
+  let target;
+  try {
+    target = new URL(location.replace(REPLAY_PREFIX, ""), pageUrl);
+  } catch {
+    return none;
+  }
+  const domain = hostKey(target.hostname);
+  let own = "";
+  try {
+    own = hostKey(new URL(pageUrl).hostname);
+  } catch {
+    own = "";
+  }
+  return {
+    redirect_url: target.href,
+    redirect_domain: domain,
+    // Same domain or one of its subdomains (http -> https, www, /fr/...) is not "elsewhere"
+    redirect_external: Boolean(own) && domain !== own && !domain.endsWith(`.${own}`),
+  };
+}
+
+// Headings kept per level, and max length of each heading text
+const MAX_HEADINGS = 20;
+const MAX_HEADING_LENGTH = 200;
+
+function cleanText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// @type values of JSON-LD blocks, including @graph members; invalid JSON is skipped
+function jsonLdTypes($) {
+  const types = new Set();
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== "object") return;
+    for (const t of [].concat(node["@type"] || [])) types.add(String(t));
+    if (node["@graph"]) visit(node["@graph"]);
+  };
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      visit(JSON.parse($(el).text()));
+    } catch {
+      // Broken JSON-LD is common on old captures
+    }
+  });
+  return [...types];
+}
+
+// Analytics / ads account IDs found anywhere in the page (inline scripts included)
+const TRACKING_PATTERNS = [
+  /\bUA-\d{4,10}-\d{1,4}\b/g,
+  /\bG-[A-Z0-9]{8,12}\b/g,
+  /\bGTM-[A-Z0-9]{4,8}\b/g,
+  /\b(?:ca-)?pub-\d{10,20}\b/g,
+];
+
+function trackingIds(html) {
+  const ids = new Set();
+  for (const re of TRACKING_PATTERNS) {
+    for (const [id] of html.matchAll(re)) ids.add(id.startsWith("pub-") ? `ca-${id}` : id);
+  }
+  return [...ids];
+}
+
+// CMS theme from asset paths: "wordpress:<theme>" or "joomla:<template>"
+function themeOf(html) {
+  const wp = /\/wp-content\/themes\/([a-z0-9_.-]+)\//i.exec(html);
+  if (wp) return `wordpress:${wp[1].toLowerCase()}`;
+  const joomla = /\/templates\/(?!system\/)([a-z0-9_-]+)\/(?:css|js|images)\//i.exec(html);
+  if (joomla) return `joomla:${joomla[1].toLowerCase()}`;
+  return "";
+}
+
+function hostKey(host) {
+  return host.toLowerCase().replace(/^www\./, "");
+}
+
+// Outbound links kept per snapshot (links_external still counts them all)
+const MAX_OUTBOUND_LINKS = 100;
+const MAX_ANCHOR_LENGTH = 120;
+
+// Footer area: <footer>, or a container whose id/class says so
+function inFooter($, el) {
+  return $(el).closest('footer, [id*="footer" i], [class*="footer" i], [id*="colophon" i], [class*="bottom-links" i]').length > 0;
+}
+
+// Internal = same host as the page (www. ignored) or relative; only http(s) links count.
+// External links are also listed with anchor text, target domain and rel values.
+function collectLinks($, pageUrl) {
+  let base = null;
+  try {
+    base = pageUrl ? new URL(pageUrl) : null;
+  } catch {
+    base = null;
+  }
+  let internal = 0;
+  let external = 0;
+  const outbound = [];
+  $("a[href]").each((_, el) => {
+    const href = ($(el).attr("href") || "").trim();
+    if (!href || href.startsWith("#") || /^(javascript|mailto|tel|data):/i.test(href)) return;
+    let url;
+    try {
+      url = new URL(href, base || "http://relative.invalid/");
+    } catch {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol)) return;
+    if (url.hostname === "relative.invalid" || (base && hostKey(url.hostname) === hostKey(base.hostname))) {
+      internal++;
+      return;
+    }
+    external++;
+    if (outbound.length >= MAX_OUTBOUND_LINKS) return;
+    const anchor = cleanText($(el).text()) || cleanText($(el).find("img").attr("alt") || "");
+    outbound.push({
+      href: url.href,
+      domain: hostKey(url.hostname),
+      anchor: anchor.slice(0, MAX_ANCHOR_LENGTH),
+      rel: ($(el).attr("rel") || "").toLowerCase().split(/\s+/).filter(Boolean),
+      footer: inFooter($, el),
+    });
+  });
+  return { links_internal: internal, links_external: external, outbound_links: outbound };
+}
+
+/**
+ * SEO metadata of an HTML document (used for archive snapshots and WARC records).
+ * @param {string} html
+ * @param {object} [options]
+ * @param {string} [options.url] page URL, tells internal from external links
+ * @param {string} [options.charset] charset the HTML was decoded with (see charset.js);
+ *        defaults to the one declared in the page
+ * @param {string} [options.charsetSource] where that charset came from
+ * @returns {{title, description, canonical, robots, og_title, og_description, h1_count, lang,
+ *   language, language_source, charset, charset_source,
+ *   hreflang: Array<{lang, href}>, h1: string[], h2: string[], keywords, generator,
+ *   twitter_card, twitter_title, twitter_description, twitter_site, jsonld_types: string[],
+ *   word_count, links_internal, links_external,
+ *   outbound_links: Array<{href, domain, anchor, rel: string[], footer: boolean},
+ *   tracking_ids: string[], theme, parking: {provider, for_sale, score, signals}|null}}
+ */
+export function extractFromHtml(html, { url, charset, charsetSource } = {}) {
+  const $ = cheerio.load(html);
+
+  // id_ mode should not inject the toolbar, but some captures were archived
+  // with Wayback elements baked in: drop them so they don't skew the counts.
+  $('script[src*="web.archive.org"]').remove();
+  $('link[href*="web.archive.org"]').remove();
+  $(".wb-autocomplete-suggestions").remove();
+  $("#wm-ipp-base").remove();
+  $("#donato").remove();
+  $('[id*="wm-"]').remove();
+
+  const pick = (sel, attr = "content") => $(sel).attr(attr) || "";
+  const title = $("title").first().text().trim();
+  const description = pick('meta[name="description"]');
+  const canonical = pick('link[rel="canonical"]', "href");
+  const robots = pick('meta[name="robots"]');
+  const ogTitle = pick('meta[property="og:title"]');
+  const ogDesc = pick('meta[property="og:description"]');
+  const h1_count = $("h1").length;
+  const lang = ($("html").attr("lang") || "").trim();
+
+  const headings = (sel) =>
+    $(sel)
+      .map((_, el) => cleanText($(el).text()).slice(0, MAX_HEADING_LENGTH))
+      .get()
+      .filter(Boolean)
+      .slice(0, MAX_HEADINGS);
+  const hreflang = $('link[rel="alternate"][hreflang]')
+    .map((_, el) => ({ lang: $(el).attr("hreflang").trim(), href: ($(el).attr("href") || "").trim() }))
+    .get();
+  // twitter:* tags are found with both name= and property=
+  const twitter = (key) => pick(`meta[name="twitter:${key}"]`) || pick(`meta[property="twitter:${key}"]`);
+  const jsonld_types = jsonLdTypes($);
+  const links = collectLinks($, url);
+  const hidden = findHiddenContent($, url);
+  const declaredCharset = (
+    $("meta[charset]").attr("charset") ||
+    (/charset\s*=\s*["']?([\w-]+)/i.exec($('meta[http-equiv="Content-Type" i]').attr("content") || "") || [])[1] ||
+    ""
+  ).trim().toLowerCase();
+
+  $("script, style, noscript, template").remove();
+  const text = cleanText($("body").text() || $.root().text());
+  const word_count = text ? text.split(" ").filter((w) => /[\p{L}\p{N}]/u.test(w)).length : 0;
+  const parking = detectParking({
+    html,
+    title,
+    text,
+    word_count,
+    framed: $("frameset, frame").length > 0 || $("iframe").length === 1,
+    url,
+  });
+
+  return {
+    title,
+    description,
+    canonical,
+    robots,
+    og_title: ogTitle,
+    og_description: ogDesc,
+    h1_count,
+    lang,
+    hreflang,
+    h1: headings("h1"),
+    h2: headings("h2"),
+    keywords: pick('meta[name="keywords"]').trim(),
+    generator: pick('meta[name="generator"]').trim(),
+    twitter_card: twitter("card"),
+    twitter_title: twitter("title"),
+    twitter_description: twitter("description"),
+    twitter_site: twitter("site"),
+    jsonld_types,
+    word_count,
+    ...links,
+    tracking_ids: trackingIds(html),
+    theme: themeOf(html),
+    charset: charset || declaredCharset,
+    charset_source: charset ? charsetSource || "" : declaredCharset ? "meta" : "",
+    ...detectLanguage(`${title} ${text}`, { lang }),
+    scripts: textScripts(text),
+    ...hidden,
+    parking,
+  };
+}
+
+const EMPTY_FIELDS = {
+  title: "",
+  description: "",
+  canonical: "",
+  robots: "",
+  og_title: "",
+  og_description: "",
+  h1_count: 0,
+  lang: "",
+  hreflang: [],
+  h1: [],
+  h2: [],
+  keywords: "",
+  generator: "",
+  twitter_card: "",
+  twitter_title: "",
+  twitter_description: "",
+  twitter_site: "",
+  jsonld_types: [],
+  word_count: 0,
+  links_internal: 0,
+  links_external: 0,
+  outbound_links: [],
+  tracking_ids: [],
+  theme: "",
+  charset: "",
+  charset_source: "",
+  language: null,
+  language_source: null,
+  scripts: {},
+  hidden_text: "",
+  hidden_links: [],
+  redirect_url: null,
+  redirect_domain: null,
+  redirect_external: false,
+  parking: null,
+};
+
+// Link fields left out of a rewritten capture (see extractDomain)
+const REWRITTEN_LINKS = {
+  links_internal: 0,
+  links_external: 0,
+  outbound_links: [],
+  hidden_links: [],
+};
+
+/**
+ * Collapse a chronological list of snapshots into title/description periods:
+ * consecutive captures with the same title and description (and the same
+ * redirect target, for periods spent redirecting elsewhere) become one entry.
+ * Parking periods carry `parked` (provider name, or "" when unknown).
+ * Failed snapshots are skipped.
+ * @param {object[]} snapshots
+ * @returns {Array<{first_seen, last_seen, title, description, captures, redirect_domain, parked: string|null}>}
+ */
+export function buildHistory(snapshots) {
+  const history = [];
+  for (const snap of snapshots) {
+    if (snap.error) continue;
+    const redirect_domain = snap.redirect_external ? snap.redirect_domain : null;
+    const parked = snap.parking ? snap.parking.provider || "" : null;
+    const last = history[history.length - 1];
+    if (
+      last &&
+      last.title === snap.title &&
+      last.description === snap.description &&
+      last.redirect_domain === redirect_domain &&
+      last.parked === parked
+    ) {
+      last.last_seen = snap.timestamp;
+      last.captures++;
+    } else {
+      history.push({
+        first_seen: snap.timestamp,
+        last_seen: snap.timestamp,
+        title: snap.title,
+        description: snap.description,
+        captures: 1,
+        redirect_domain,
+        parked,
+      });
+    }
+  }
+  return history;
+}
+
+/**
+ * Periods a domain spent redirecting to another domain: consecutive captures
+ * redirecting to the same target domain become one entry.
+ * @param {object[]} snapshots chronological
+ * @returns {Array<{first_seen, last_seen, target_domain, target_url, statuses: string[], captures}>}
+ */
+export function buildRedirectPeriods(snapshots) {
+  const periods = [];
+  let last = null;
+  for (const snap of snapshots) {
+    if (snap.error) continue;
+    if (!snap.redirect_external) {
+      last = null;
+      continue;
+    }
+    if (last && last.target_domain === snap.redirect_domain) {
+      last.last_seen = snap.timestamp;
+      last.captures++;
+      if (!last.statuses.includes(String(snap.status))) last.statuses.push(String(snap.status));
+    } else {
+      last = {
+        first_seen: snap.timestamp,
+        last_seen: snap.timestamp,
+        target_domain: snap.redirect_domain,
+        target_url: snap.redirect_url,
+        statuses: [String(snap.status)],
+        captures: 1,
+      };
+      periods.push(last);
+    }
+  }
+  return periods;
+}
+
+/**
+ * Parking summary of a domain: how many captures were parking / for-sale
+ * pages, by whom, when, and the last capture with real content (2xx, not
+ * parked), which is what the site's age should be judged on.
+ * @param {object[]} snapshots chronological
+ * @returns {{captures: number, providers: string[], for_sale: boolean, first_seen: string|null,
+ *   last_seen: string|null, last_content: string|null}}
+ */
+export function summarizeParking(snapshots) {
+  const parked = snapshots.filter((s) => !s.error && s.parking);
+  const content = snapshots.filter((s) => !s.error && !s.parking && (!s.status || /^2/.test(String(s.status))));
+  return {
+    captures: parked.length,
+    providers: [...new Set(parked.map((s) => s.parking.provider).filter(Boolean))],
+    for_sale: parked.some((s) => s.parking.for_sale),
+    first_seen: parked.length ? parked[0].timestamp : null,
+    last_seen: parked.length ? parked[parked.length - 1].timestamp : null,
+    last_content: content.length ? content[content.length - 1].timestamp : null,
+  };
+}
+
+/**
+ * Fetch and parse the snapshots of a domain (last N, or a timeline sample).
+ * Snapshots that fail to download or parse are still returned (empty fields +
+ * `error`), so JSON/CSV outputs stay aligned.
+ * Every result carries `topic_changes` (see drift.js), `links` (outbound
+ * link footprints, see links.js), `redirects` (see buildRedirectPeriods) and
+ * `parking` (see summarizeParking); in timeline mode it
+ * also carries `timeline` and a chronological `history` (see buildHistory).
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {number} [options.n=5]
+ * @param {boolean} [options.unique=false]
+ * @param {"year"|"quarter"|"month"} [options.timeline]
+ * @param {string} [options.from]
+ * @param {string} [options.to]
+ * @param {boolean} [options.allStatuses=false] also 3xx/4xx/5xx captures (CDX only); redirects
+ *        get `redirect_url` / `redirect_domain` / `redirect_external`
+ * @param {number} [options.driftThreshold]   drift score that counts as a topic change
+ * @param {number} [options.concurrency=2]     snapshots fetched in parallel (the
+ *        shared archive rate limiter still applies)
+ * @param {object|false} [options.cache]       CDX/snapshot cache (false to bypass)
+ * @param {object} [options.archive]           archive endpoint, default getArchive()
+ * @param {object} [options.warc]              WARC writer recording every fetched snapshot
+ * @param {Array<string|object>} [options.sources] Memento archives to aggregate
+ *        instead of the CDX API (see lib/memento.js); snapshots get a `source`
+ * @param {(snapshot: object) => void} [options.onSnapshot] called after each snapshot
+ * @returns {Promise<{domain: string, snapshots: object[], topic_changes: object[], timeline?: string, history?: object[], sources?: object[]}>}
+ */
+export async function extractDomain(
+  domain,
+  { n = 5, unique = false, timeline = null, from, to, allStatuses = false, driftThreshold, concurrency = 2, cache, archive, sources, warc, onSnapshot } = {}
+) {
+  // Memento mode: TimeMaps carry no digest, so `unique` does not apply
+  const memento = sources && sources.length ? await getMementoRows(domain, { sources, n, timeline, from, to, cache }) : null;
+  const rows = memento ? memento.rows : await getCdxRows(domain, { n, unique, timeline, from, to, allStatuses, cache, archive });
+  const archives = memento ? Object.fromEntries(resolveSources(sources).map((a) => [a.name, a])) : {};
+
+  const snapshots = await mapConcurrent(rows, concurrency, async (row) => {
+    // Archives without a raw mode (archive.today) serve rewritten pages: their
+    // links point to the archive and the toolbar adds its own
+    const rewritten = Boolean(row.source) && !archives[row.source].raw;
+    const snap = row.snapshot || makeIdUrl(row.timestamp, row.original, archive);
+    const base = {
+      timestamp: row.timestamp,
+      snapshot: snap,
+      original: row.original,
+      status: row.statuscode,
+      length: row.length,
+      digest: row.digest,
+      ...(row.source ? { source: row.source, memento: row.memento } : {}),
+    };
+    let snapshot;
+    try {
+      const limiter = row.source ? limiterFor(archives[row.source]) : undefined;
+      const ok = !row.statuscode || /^2/.test(row.statuscode);
+      const parsed = await extractFromSnapshot(snap, {
+        // Redirect/error bodies are near-identical: only 2xx captures are cached by digest
+        digest: ok ? row.digest : undefined,
+        status: row.statuscode,
+        cache,
+        limiter,
+        warc,
+        timestamp: row.timestamp,
+        original: row.original,
+      });
+      snapshot = { ...base, ...parsed, ...(rewritten ? { ...REWRITTEN_LINKS, rewritten: true } : {}) };
+    } catch (e) {
+      snapshot = { ...base, ...EMPTY_FIELDS, error: String(e.message || e) };
+    }
+    if (onSnapshot) onSnapshot(snapshot);
+    return snapshot;
+  });
+
+  const result = buildDomainResult(domain, snapshots, { timeline, driftThreshold });
+  if (memento) result.sources = memento.sources;
+  return result;
+}
+
+/**
+ * Domain result from chronological snapshots, as returned by extractDomain:
+ * topic and language changes, link footprints, redirect periods and parking
+ * summary, plus the history in timeline mode.
+ * @param {string} domain
+ * @param {object[]} snapshots
+ * @param {object} [options]
+ * @param {string} [options.timeline]
+ * @param {number} [options.driftThreshold]
+ */
+export function buildDomainResult(domain, snapshots, { timeline = null, driftThreshold } = {}) {
+  const topic_changes = detectTopicChanges(snapshots, { threshold: driftThreshold });
+  const links = analyzeLinks(domain, snapshots);
+  const redirects = buildRedirectPeriods(snapshots);
+  const parking = summarizeParking(snapshots);
+  const language_changes = languageChanges(snapshots);
+  if (timeline) {
+    return {
+      domain,
+      timeline,
+      snapshots,
+      topic_changes,
+      language_changes,
+      links,
+      redirects,
+      parking,
+      history: buildHistory(snapshots),
+    };
+  }
+  return { domain, snapshots, topic_changes, language_changes, links, redirects, parking };
+}
+
+/**
+ * List distinct archived HTML URLs of a domain (collapse=urlkey).
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {number} [options.limit=1000]
+ * @param {object|false} [options.cache] CDX cache (false to bypass)
+ * @param {object} [options.archive]     archive endpoint, default getArchive()
+ * @returns {Promise<Array<{timestamp, original, snapshot}>>}
+ */
+export async function discoverUrls(domain, { limit = 1000, cache, archive } = {}) {
+  const base = new URL((archive ? resolveArchive(archive) : defaultArchive).cdxUrl);
+  base.searchParams.set("url", domain + "/*");
+  base.searchParams.set("output", "json");
+  base.searchParams.append("filter", "mimetype:text/html");
+  base.searchParams.append("filter", "statuscode:200");
+  base.searchParams.set("fl", "timestamp,original");
+  base.searchParams.set("limit", String(limit));
+  base.searchParams.set("collapse", "urlkey"); // Deduplicate by URL
+
+  const json = await fetchCdxJson(base.toString(), { cache });
+  // Skip header row
+  return json.slice(1).map((row) => ({
+    timestamp: row[0],
+    original: row[1],
+    snapshot: makeIdUrl(row[0], row[1], archive),
+  }));
+}
@@ -3,49 +3,268 @@ function waybackApp() {
         domains: '',
         snapshots: 5,
         unique: false,
+        noCache: false,
+        allStatuses: false,
+        exportWarc: false,
+        warcExportUrl: '',
+        timeline: '',
+        timelineFrom: '',
+        timelineTo: '',
         processing: false,
         results: [],
         errors: [],
+        // Batch footprint clusters (see /api/jobs/:id/clusters)
+        clusters: null,
+        // Result filters: detected language, and domains whose language changed
+        languageFilter: '',
+        languageChangesOnly: false,
         currentDomain: '',
         completedDomains: 0,
         totalDomains: 0,
         
-        // API Key management
-        apiKey: localStorage.getItem('perplexity_api_key') || '',
-        apiKeyInput: '',
+        // AI providers (credentials stay on the server, see /api/providers)
+        providers: [],
+        aiProvider: localStorage.getItem('ai_provider') || '',
+
+        // Archive replay prefix and Memento archives on offer (see /api/archive)
+        replayUrl: 'https://web.archive.org/web',
+        mementoArchives: [],
+        sources: [],
+
+        // On-disk archive cache (server side, see /api/cache)
+        cacheStats: null,
         
         // New features
         activeTab: 'extract',
         inputMethod: 'manual',
         csvFile: null,
+        warcFile: null,
+        warcAllPages: false,
         analyzeContent: false,
-        showApiConfig: false,
-        
-        // Custom keywords
-        customKeywords: JSON.parse(localStorage.getItem('custom_keywords') || '[]'),
-        newKeywords: '',
-        
         
+        // Spam keyword packs per language (see /api/keyword-packs): the selected
+        // ones apply to every snapshot, autoPacks adds each snapshot's language
+        keywordPacks: [],
+        selectedPacks: [],
+        autoPacks: true,
+
+        // Shared keyword profiles (server side, see /api/profiles): block and
+        // allow lists with weights, selected per run
+        profiles: [],
+        selectedProfile: '',
+        profileDraft: null,
+        profileError: '',
+        newBlockKeywords: '',
+        newBlockWeight: 1,
+        newAllowEntries: '',
+        // Keywords older versions kept in this browser, until imported into a profile
+        legacyKeywords: JSON.parse(localStorage.getItem('custom_keywords') || '[]'),
+
+        // Capture diff (two snapshots of the same URL)
+        diffDomain: null,
+        diffFrom: '',
+        diffTo: '',
+        diffResult: null,
+        diffLoading: false,
+        diffError: '',
+
         // URL Discovery variables
         selectedDomain: '',
         discoveredUrls: [],
         urlsLoading: false,
         urlError: '',
         
+        init() {
+            // Keys used to be kept in the browser: drop any leftover
+            localStorage.removeItem('perplexity_api_key');
+            this.loadProviders();
+            this.loadCacheStats();
+            this.loadArchive();
+            this.loadKeywordPacks();
+            this.loadProfiles();
+
+            const jobId = localStorage.getItem('current_job');
+            if (jobId) this.watchJob(jobId);
+        },
+
+        async loadProviders() {
+            try {
+                const response = await fetch('/api/providers');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const status = await response.json();
+                this.providers = status.providers || [];
+                if (!this.providers.some(p => p.name === this.aiProvider && p.configured)) {
+                    this.aiProvider = status.default || '';
+                }
+            } catch (error) {
+                console.error('Erreur chargement fournisseurs IA:', error);
+            }
+        },
+
+        async loadArchive() {
+            try {
+                const response = await fetch('/api/archive');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const archive = await response.json();
+                this.replayUrl = archive.replayUrl;
+                this.mementoArchives = archive.memento || [];
+            } catch (error) {
+                console.error('Erreur chargement archive:', error);
+            }
+        },
+
+        async loadKeywordPacks() {
+            try {
+                const response = await fetch('/api/keyword-packs');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.keywordPacks = await response.json();
+            } catch (error) {
+                console.error('Erreur chargement packs de mots-clés:', error);
+            }
+        },
+
+        async loadProfiles() {
+            try {
+                const response = await fetch('/api/profiles');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.profiles = (await response.json()).profiles;
+                if (this.selectedProfile && !this.profileById(this.selectedProfile)) this.selectedProfile = '';
+            } catch (error) {
+                console.error('Erreur chargement profils:', error);
+            }
+        },
+
+        profileById(id) {
+            return this.profiles.find(profile => profile.id === id) || null;
+        },
+
+        newProfile(block = []) {
+            this.profileError = '';
+            this.profileDraft = { id: null, name: '', description: '', block, allow: [], defaultAllow: true, threshold: '' };
+        },
+
+        editProfile() {
+            const profile = this.profileById(this.selectedProfile);
+            if (!profile) return;
+            this.profileError = '';
+            this.profileDraft = JSON.parse(JSON.stringify({ ...profile, threshold: profile.threshold ?? '' }));
+        },
+
+        importLegacyKeywords() {
+            this.newProfile(this.legacyKeywords.map(keyword => ({ keyword, weight: 1 })));
+            this.profileDraft.name = 'Mes mots-clés';
+        },
+
+        addBlockKeywords() {
+            const weight = Number.isFinite(this.newBlockWeight) ? this.newBlockWeight : 1;
+            for (const keyword of this.newBlockKeywords.split(',').map(k => k.trim().toLowerCase()).filter(Boolean)) {
+                const existing = this.profileDraft.block.find(entry => entry.keyword === keyword);
+                if (existing) existing.weight = weight;
+                else this.profileDraft.block.push({ keyword, weight });
+            }
+            this.newBlockKeywords = '';
+        },
+
+        addAllowEntries() {
+            const entries = this.newAllowEntries.split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+            this.profileDraft.allow.push(...entries.filter(e => !this.profileDraft.allow.includes(e)));
+            this.newAllowEntries = '';
+        },
+
+        async saveProfile() {
+            const { id, ...profile } = this.profileDraft;
+            try {
+                const response = await fetch(id ? `/api/profiles/${id}` : '/api/profiles', {
+                    method: id ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(profile)
+                });
+                const body = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+                // Imported keywords now live on the server
+                if (this.legacyKeywords.length && !id) {
+                    localStorage.removeItem('custom_keywords');
+                    this.legacyKeywords = [];
+                }
+                this.profileDraft = null;
+                await this.loadProfiles();
+                this.selectedProfile = body.id;
+            } catch (error) {
+                this.profileError = `Erreur lors de l'enregistrement : ${error.message}`;
+            }
+        },
+
+        async deleteProfile(id) {
+            if (!confirm(`Supprimer le profil « ${this.profileById(id)?.name || id} » pour toute l'équipe ?`)) return;
+            try {
+                const response = await fetch(`/api/profiles/${id}`, { method: 'DELETE' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.profileDraft = null;
+                await this.loadProfiles();
+            } catch (error) {
+                this.profileError = `Erreur lors de la suppression : ${error.message}`;
+            }
+        },
+
+        async loadCacheStats() {
+            try {
+                const response = await fetch('/api/cache');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.cacheStats = await response.json();
+            } catch (error) {
+                console.error('Erreur chargement cache:', error);
+            }
+        },
+
+        async purgeCache(only) {
+            const what = only === 'cdx' ? 'les requêtes CDX en cache' : only === 'snapshots' ? 'les snapshots en cache' : 'tout le cache';
+            if (!confirm(`Supprimer ${what} ?`)) return;
+            try {
+                const response = await fetch(`/api/cache${only ? `?only=${only}` : ''}`, { method: 'DELETE' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.cacheStats = await response.json();
+            } catch (error) {
+                alert(`Erreur lors de la purge du cache: ${error.message}`);
+            }
+        },
+
+        formatBytes(bytes) {
+            if (bytes < 1024) return `${bytes} o`;
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} Ko`;
+            return `${(bytes / 1024 / 1024).toFixed(1)} Mo`;
+        },
+
         // Computed properties for site classification
         get cleanSites() {
-            return this.results.filter(domain => this.isCleanDomain(domain));
+            return this.filteredResults.filter(domain => this.isCleanDomain(domain));
         },
         
         get spamSites() {
-            return this.results.filter(domain => this.isSpamDomain(domain));
+            return this.filteredResults.filter(domain => this.isSpamDomain(domain));
+        },
+
+        get compromisedSites() {
+            return this.filteredResults.filter(domain => this.isCompromisedDomain(domain));
+        },
+
+        get filteredResults() {
+            return this.results.filter(domain => this.matchesLanguageFilter(domain));
+        },
+
+        // Languages detected in the results (lib/language.js), for the filter
+        get availableLanguages() {
+            const languages = new Set();
+            this.results.forEach(domain => (domain.snapshots || []).forEach(s => s.language && languages.add(s.language)));
+            return [...languages].sort();
         },
 
         async startExtraction() {
             this.processing = true;
             this.results = [];
             this.errors = [];
+            this.clusters = null;
             this.completedDomains = 0;
+            this.warcExportUrl = '';
 
             const domainList = this.domains.trim().split('\n')
                 .map(d => d.trim())
@@ -53,8 +272,13 @@ function waybackApp() {
 
             this.totalDomains = domainList.length;
 
+            if (this.inputMethod === 'warc') {
+                return this.importWarc();
+            }
+
             try {
-                const response = await fetch('/api/extract', {
+                // Runs as a server-side job: closing the tab doesn't lose the batch
+                const response = await fetch('/api/jobs', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -63,43 +287,123 @@ function waybackApp() {
                         domains: domainList,
                         n: this.snapshots,
                         unique: this.unique,
-                        analyzeContent: this.analyzeContent,
-                        apiKey: this.apiKey
+                        noCache: this.noCache,
+                        allStatuses: this.allStatuses && !this.sources.length,
+                        exportWarc: this.exportWarc && this.inputMethod !== 'warc',
+                        sources: this.sources,
+                        timeline: this.timeline || null,
+                        from: this.timeline && this.timelineFrom ? this.timelineFrom : undefined,
+                        to: this.timeline && this.timelineTo ? this.timelineTo : undefined,
+                        profile: this.selectedProfile || undefined,
+                        keywordPacks: this.selectedPacks,
+                        autoPacks: this.autoPacks,
+                        analyzeContent: this.analyzeContent && this.aiReady,
+                        provider: this.aiProvider || undefined
                     })
                 });
 
                 if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    const body = await response.json().catch(() => ({}));
+                    throw new Error(body.error || `HTTP error! status: ${response.status}`);
+                }
+
+                const job = await response.json();
+                localStorage.setItem('current_job', job.id);
+                await this.watchJob(job.id);
+            } catch (error) {
+                this.errors.push(`Erreur générale: ${error.message}`);
+                this.processing = false;
+                this.currentDomain = '';
+            }
+        },
+
+        async loadClusters(jobId) {
+            try {
+                const response = await fetch(`/api/jobs/${jobId}/clusters`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.clusters = await response.json();
+            } catch (error) {
+                console.error('Erreur chargement des groupes:', error);
+            }
+        },
+
+        // WARC import runs in one request: records are parsed server-side, nothing is fetched
+        async importWarc() {
+            const params = new URLSearchParams({ file: this.warcFile.name });
+            if (this.timeline) {
+                params.set('timeline', this.timeline);
+                if (this.timelineFrom) params.set('from', this.timelineFrom);
+                if (this.timelineTo) params.set('to', this.timelineTo);
+            }
+            if (this.warcAllPages) params.set('allPages', '1');
+            if (this.selectedProfile) params.set('profile', this.selectedProfile);
+            if (this.selectedPacks.length) params.set('keywordPacks', this.selectedPacks.join(','));
+            if (!this.autoPacks) params.set('autoPacks', '0');
+            if (this.analyzeContent && this.aiReady) {
+                params.set('analyzeContent', '1');
+                params.set('provider', this.aiProvider);
+            }
+
+            this.currentDomain = this.warcFile.name;
+            try {
+                const response = await fetch(`/api/warc?${params}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: this.warcFile
+                });
+                const body = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    throw new Error(body.error || `HTTP error! status: ${response.status}`);
+                }
+                this.results.push(...body.results);
+                this.errors.push(...body.errors);
+                this.clusters = body.clusters || null;
+                this.totalDomains = this.completedDomains = body.results.length;
+                if (!body.results.length) {
+                    this.errors.push('Aucune page HTML trouvée dans ce fichier WARC');
                 }
+            } catch (error) {
+                this.errors.push(`Erreur générale: ${error.message}`);
+            } finally {
+                this.processing = false;
+                this.currentDomain = '';
+            }
+        },
 
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
+        // Poll a job until it's done, appending new results as they come in.
+        // Also used on page load to reattach to a job started earlier.
+        async watchJob(jobId) {
+            this.processing = true;
+            let offset = 0;
 
+            try {
                 while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n').filter(line => line.trim());
-
-                    for (const line of lines) {
-                        try {
-                            const data = JSON.parse(line);
-                            
-                            if (data.type === 'progress') {
-                                this.currentDomain = data.domain;
-                            } else if (data.type === 'result') {
-                                this.results.push(data.data);
-                                this.completedDomains++;
-                                this.currentDomain = '';
-                            } else if (data.type === 'error') {
-                                this.errors.push(data.message);
-                                this.completedDomains++;
-                            }
-                        } catch (e) {
-                            console.error('Parse error:', e);
-                        }
+                    const response = await fetch(`/api/jobs/${jobId}?offset=${offset}`);
+                    if (response.status === 404) {
+                        localStorage.removeItem('current_job');
+                        return;
                     }
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+
+                    const job = await response.json();
+                    this.results.push(...job.results);
+                    this.errors.push(...job.errors);
+                    offset += job.entries;
+                    this.completedDomains = job.completed;
+                    this.totalDomains = job.total;
+                    this.currentDomain = job.status === 'running' ? (job.domains[job.completed] || '') : '';
+
+                    if (job.status === 'completed' || job.status === 'failed') {
+                        if (job.error) this.errors.push(`Erreur générale: ${job.error}`);
+                        if (job.options && job.options.exportWarc) this.warcExportUrl = `/api/jobs/${jobId}/warc`;
+                        await this.loadClusters(jobId);
+                        localStorage.removeItem('current_job');
+                        return;
+                    }
+
+                    await new Promise(resolve => setTimeout(resolve, 2000));
                 }
             } catch (error) {
                 this.errors.push(`Erreur générale: ${error.message}`);
@@ -117,23 +421,185 @@ function waybackApp() {
             return `${day}/${month}/${year}`;
         },
 
+        // Timeline history entry: "2008" or "2008 → 2014"
+        formatPeriod(entry) {
+            const start = (entry.first_seen || '').substr(0, 4);
+            const end = (entry.last_seen || '').substr(0, 4);
+            return start === end ? start : `${start} → ${end}`;
+        },
+
+        formatRedirects(domainResult) {
+            return (domainResult.redirects || [])
+                .map(period => `${this.formatPeriod(period)} : ${period.target_domain} (${period.statuses.join('/')}, ${period.captures} capture(s))`)
+                .join('\n');
+        },
+
+        formatParking(domainResult) {
+            const parking = domainResult.parking;
+            if (!parking || !parking.captures) return '';
+            const lines = [
+                `${parking.captures} capture(s) parking${parking.for_sale ? ' / à vendre' : ''} : ${this.formatPeriod(parking)}`,
+                `Dernier contenu réel : ${parking.last_content ? this.formatDate(parking.last_content) : 'aucun'}`
+            ];
+            if (parking.providers.length) lines.splice(1, 0, `Fournisseurs : ${parking.providers.join(', ')}`);
+            return lines.join('\n');
+        },
+
+        // Domain badge: age of the last real content, parking captures aside
+        getParkingBadge(domainResult) {
+            const parking = domainResult.parking;
+            if (!parking) return '';
+            const label = parking.for_sale ? '🅿️ Parking / à vendre' : '🅿️ Parking';
+            if (!parking.last_content) return `${label} · aucun contenu`;
+            return `${label} · contenu ${this.getAgeLabel({ timestamp: parking.last_content }).toLowerCase()}`;
+        },
+
+        formatTopicChanges(domainResult) {
+            return (domainResult.topic_changes || [])
+                .map(change => `${this.formatDate(change.timestamp)} (score ${change.score})`)
+                .join('\n');
+        },
+
+        getFootprintLabel(type) {
+            const labels = {
+                title: 'Titre',
+                digest: 'Contenu identique',
+                analytics: 'Google Analytics',
+                gtm: 'Tag Manager',
+                adsense: 'AdSense',
+                theme: 'Thème',
+                outbound: 'Lien sortant'
+            };
+            return labels[type] || type;
+        },
+
+        getLinkFlagLabel(id) {
+            const labels = {
+                external_ratio: 'Majorité de liens externes',
+                footer_links: 'Footer bourré de liens',
+                money_anchors: 'Ancres commerciales',
+                outbound_domains: 'Trop de domaines liés',
+                link_selling_pages: 'Pages partenaires / sponsorisées',
+                outbound_churn: 'Liens sortants remplacés au fil des captures'
+            };
+            return labels[id] || id;
+        },
+
+        formatLinkFlags(domainResult) {
+            return ((domainResult.links && domainResult.links.flags) || [])
+                .map(flag => `${this.getLinkFlagLabel(flag.id)} : ${flag.detail}`)
+                .join('\n');
+        },
+
         getWaybackUrl(timestamp, originalUrl) {
             // Generate standard Wayback Machine URL (not id_ mode for viewing)
-            return `https://web.archive.org/web/${timestamp}/${originalUrl}`;
+            return `${this.replayUrl}/${timestamp}/${originalUrl}`;
+        },
+
+        // Memento captures link to the archive that holds them
+        getSnapshotUrl(snapshot) {
+            // WARC records have no public replay URL
+            if (snapshot.source === 'warc' || !snapshot.timestamp) return null;
+            return snapshot.memento || this.getWaybackUrl(snapshot.timestamp, snapshot.original);
+        },
+
+        // Captures the diff can fetch: the configured archive only (no WARC, no Memento)
+        diffableSnapshots(domainResult) {
+            return (domainResult.snapshots || [])
+                .filter(s => s.timestamp && !s.source)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        },
+
+        openDiff(domainResult) {
+            const snapshots = this.diffableSnapshots(domainResult);
+            this.diffDomain = domainResult;
+            this.diffFrom = snapshots[snapshots.length - 2].timestamp;
+            this.diffTo = snapshots[snapshots.length - 1].timestamp;
+            this.loadDiff();
         },
 
-        // API Key management
-        saveApiKey() {
-            if (this.apiKeyInput.trim()) {
-                localStorage.setItem('perplexity_api_key', this.apiKeyInput.trim());
-                this.apiKey = this.apiKeyInput.trim();
-                this.apiKeyInput = '';
+        closeDiff() {
+            this.diffDomain = null;
+            this.diffResult = null;
+            this.diffError = '';
+        },
+
+        async loadDiff() {
+            const snapshots = this.diffableSnapshots(this.diffDomain);
+            const to = snapshots.find(s => s.timestamp === this.diffTo);
+            this.diffLoading = true;
+            this.diffError = '';
+            this.diffResult = null;
+            try {
+                const params = new URLSearchParams({ url: to.original, from: this.diffFrom, to: this.diffTo });
+                if (this.noCache) params.set('noCache', '1');
+                const response = await fetch(`/api/diff?${params}`);
+                const body = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+                this.diffResult = body;
+            } catch (error) {
+                this.diffError = `Erreur lors de la comparaison : ${error.message}`;
+            } finally {
+                this.diffLoading = false;
             }
         },
 
-        clearApiKey() {
-            localStorage.removeItem('perplexity_api_key');
-            this.apiKey = '';
+        getDiffFieldLabel(field) {
+            const labels = {
+                status: 'Statut HTTP',
+                redirect_url: 'Redirection',
+                title: 'Titre',
+                description: 'Description',
+                canonical: 'Canonical',
+                robots: 'Robots',
+                og_title: 'Titre Open Graph',
+                og_description: 'Description Open Graph',
+                lang: 'Attribut lang',
+                language: 'Langue détectée',
+                charset: 'Encodage',
+                keywords: 'Meta keywords',
+                generator: 'Générateur',
+                theme: 'Thème',
+                parking: 'Parking',
+                h1_count: 'Nombre de H1',
+                word_count: 'Nombre de mots',
+                links_internal: 'Liens internes',
+                links_external: 'Liens externes',
+                h1: 'H1',
+                h2: 'H2',
+                jsonld_types: 'Types JSON-LD',
+                tracking_ids: 'Identifiants de tracking',
+                hreflang: 'Hreflang',
+                outbound_domains: 'Domaines liés',
+                hidden_links: 'Liens cachés'
+            };
+            return labels[field] || field;
+        },
+
+        formatDiffValue(value) {
+            if (value === null || value === undefined || value === '') return '∅';
+            return String(value);
+        },
+
+        getArchiveLabel(name) {
+            const archive = this.mementoArchives.find(a => a.name === name);
+            return archive ? archive.label : name;
+        },
+
+        saveAiProvider() {
+            localStorage.setItem('ai_provider', this.aiProvider);
+        },
+
+        get aiReady() {
+            return this.providers.some(p => p.name === this.aiProvider && p.configured);
+        },
+
+        getProviderLabel(name) {
+            const labels = {
+                perplexity: 'Perplexity (hébergé)',
+                openai: 'Compatible OpenAI (Ollama, llama.cpp, ...)'
+            };
+            return labels[name] || name;
         },
 
         // CSV handling
@@ -157,141 +623,83 @@ function waybackApp() {
             }
         },
 
-        // Get combined spam keywords (default + custom)
-        get allSpamKeywords() {
-            const defaultKeywords = [
-                // Casino & Gambling
-                'casino', 'poker', 'jackpot', 'slots', 'roulette', 'blackjack', 'bingo', 'lottery',
-                'gambling', 'betting', 'wager', 'odds', 'bookmaker', 'sportsbook', 'bet365',
-                'spin', 'fortune', 'lucky', 'vegas', 'monte carlo',
-                
-                // Adult content
-                'adult', 'porn', 'xxx', 'explicit', 'nude', 'naked', 'escort', 'erotic',
-                'milf', 'amateur', 'webcam', 'hookup', 'fetish', 'nsfw',
-                
-                // Pharmacy & Health scams
-                'viagra', 'cialis', 'levitra', 'pharmacy', 'prescription', 'pills', 'medication',
-                'weight loss', 'diet pills', 'slim', 'fat burner', 'supplement',
-                
-                // Finance scams
-                'crypto', 'bitcoin', 'forex', 'trading', 'investment', 'loan', 'credit',
-                'payday', 'debt', 'mortgage', 'insurance', 'binary options', 'get rich',
-                'make money fast', 'earn from home',
-                
-                // Fake products
-                'replica', 'fake', 'counterfeit', 'cheap', 'discount', 'wholesale',
-                'designer', 'luxury', 'rolex', 'gucci', 'louis vuitton',
-                
-                // Tech scams
-                'hack', 'crack', 'keygen', 'serial', 'activation', 'license key',
-                'torrent', 'download', 'free software', 'pirate',
-                
-                // General spam indicators
-                'click here', 'limited time', 'act now', 'urgent', 'exclusive offer',
-                'guaranteed', 'risk free', 'no obligation', 'winner', 'congratulations'
-            ];
-            
-            return [...defaultKeywords, ...this.customKeywords];
-        },
-
-        // Detect if domain is spam based on title, description, and domain name
+        // Spam verdict computed server-side (lib/spam.js), see result.spam
         isSpamDomain(domainResult) {
-            const domain = domainResult.domain.toLowerCase();
-            const snapshots = domainResult.snapshots || [];
-            
-            // Check if it's a known legitimate domain pattern
-            if (this.isLegitimatePattern(domain)) {
-                return false;
-            }
-            
-            // Check domain name for spam indicators (more precise matching)
-            for (const keyword of this.allSpamKeywords) {
-                if (this.matchesSpamKeyword(domain, keyword)) {
-                    domainResult.spamCategory = this.categorizeSpam(keyword);
-                    return true;
-                }
-            }
-            
-            // Check titles and descriptions
-            for (const snapshot of snapshots) {
-                const title = (snapshot.title || '').toLowerCase();
-                const description = (snapshot.description || '').toLowerCase();
-                const text = title + ' ' + description;
-                
-                for (const keyword of this.allSpamKeywords) {
-                    if (this.matchesSpamKeyword(text, keyword)) {
-                        domainResult.spamCategory = this.categorizeSpam(keyword);
-                        return true;
-                    }
-                }
-                
-                // If Perplexity analysis indicates spam
-                if (snapshot.category && this.isSpamCategory(snapshot.category)) {
-                    domainResult.spamCategory = snapshot.category;
-                    return true;
-                }
-            }
-            
-            return false;
-        },
-
-        // More precise keyword matching to avoid false positives
-        matchesSpamKeyword(text, keyword) {
-            // Avoid partial matches for short keywords
-            if (keyword.length <= 3) {
-                // Use word boundaries for short keywords
-                const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-                return regex.test(text);
-            }
-            
-            // For longer keywords, simple includes is fine
-            return text.includes(keyword);
-        },
-
-        // Check for legitimate domain patterns
-        isLegitimatePattern(domain) {
-            const legitimatePatterns = [
-                // Sports
-                /football|soccer|sport|match|league|team|player/,
-                // News & Media
-                /news|media|journal|press|info|actualite/,
-                // Government & Education
-                /\.gov\.|\.edu\.|\.org\.|ministere|education|universite/,
-                // Well-known brands
-                /google|microsoft|apple|amazon|facebook|twitter|youtube/,
-                // Technology
-                /tech|software|app|web|dev|code|github/
-            ];
-            
-            return legitimatePatterns.some(pattern => pattern.test(domain));
+            return Boolean(domainResult.spam && domainResult.spam.is_spam);
         },
 
         isCleanDomain(domainResult) {
             return !this.isSpamDomain(domainResult);
         },
 
-        categorizeSpam(keyword) {
-            const categories = {
-                'Casino/Jeux': ['casino', 'poker', 'jackpot', 'slots', 'roulette', 'blackjack', 'bingo', 'lottery', 'gambling', 'betting', 'wager', 'odds', 'bookmaker', 'sportsbook', 'bet365', 'spin', 'fortune', 'lucky', 'vegas'],
-                'Contenu adulte': ['adult', 'porn', 'xxx', 'sex', 'sexy', 'nude', 'naked', 'escort', 'dating', 'milf', 'teens', 'amateur', 'webcam', 'cam', 'live', 'chat', 'hookup'],
-                'Pharma/Santé': ['viagra', 'cialis', 'levitra', 'pharmacy', 'prescription', 'pills', 'medication', 'weight loss', 'diet pills', 'slim', 'fat burner', 'supplement'],
-                'Finance suspect': ['crypto', 'bitcoin', 'forex', 'trading', 'investment', 'loan', 'credit', 'payday', 'debt', 'mortgage', 'insurance', 'binary options', 'get rich', 'make money fast'],
-                'Contrefaçon': ['replica', 'fake', 'counterfeit', 'cheap', 'discount', 'wholesale', 'designer', 'luxury', 'rolex', 'gucci', 'louis vuitton'],
-                'Piratage': ['hack', 'crack', 'keygen', 'serial', 'activation', 'license key', 'torrent', 'download', 'free software', 'pirate'],
-                'Spam générique': ['click here', 'limited time', 'act now', 'urgent', 'exclusive offer', 'guaranteed', 'risk free', 'no obligation', 'winner', 'congratulations']
+        // Legitimate site with injected spam (lib/compromise.js): stays in the
+        // clean column, flagged separately
+        isCompromisedDomain(domainResult) {
+            return Boolean(domainResult.compromised && domainResult.compromised.is_compromised);
+        },
+
+        formatCompromise(domainResult) {
+            const labels = {
+                hidden_spam: 'Mots-clés spam cachés',
+                hidden_links: 'Liens externes cachés',
+                script_mismatch: 'Écriture incohérente avec la langue déclarée',
+                script_change: 'Apparition d\'une écriture étrangère',
+                spam_anchor_spike: 'Pic d\'ancres spam sortantes'
             };
+            return ((domainResult.compromised && domainResult.compromised.signals) || [])
+                .map(signal => `${this.formatDate(signal.timestamp)} · ${labels[signal.id] || signal.id} : ${signal.detail}`)
+                .join('\n');
+        },
 
-            for (const [category, keywords] of Object.entries(categories)) {
-                if (keywords.includes(keyword)) {
-                    return category;
-                }
-            }
-            return 'Spam/Suspect';
+        // Domain-name risk (lib/domains.js), independent of the captures
+        hasDomainRisk(domainResult) {
+            return Boolean(domainResult.domain_risk && domainResult.domain_risk.level !== 'low');
         },
 
-        isSpamCategory(category) {
-            const spamCategories = ['Casino/Jeux', 'Contenu adulte', 'Spam/Suspect', 'Pharma/Santé', 'Finance suspect', 'Contrefaçon', 'Piratage'];
-            return spamCategories.includes(category);
+        getDomainRiskBadge(domainResult) {
+            const risk = domainResult.domain_risk;
+            if (!risk) return '';
+            const levels = { low: 'faible', medium: 'moyen', high: 'élevé' };
+            return `🏷️ Nom à risque ${levels[risk.level] || risk.level}${risk.idn ? ' · ' + risk.unicode : ''}`;
+        },
+
+        getDomainRiskStyle(domainResult) {
+            const risk = domainResult.domain_risk;
+            return risk && risk.level === 'high' ? 'bg-fuchsia-100 text-fuchsia-800' : 'bg-yellow-100 text-yellow-800';
+        },
+
+        formatDomainRisk(domainResult) {
+            const risk = domainResult.domain_risk;
+            if (!risk) return '';
+            const labels = {
+                spam_words: 'Mots-clés spam',
+                brand: 'Marque dans le nom',
+                typosquat: 'Typosquatting',
+                homoglyph: 'Caractères sosies',
+                mixed_scripts: 'Alphabets mélangés',
+                tld: 'Extension à risque',
+                hyphens: 'Tirets',
+                digits: 'Chiffres',
+                length: 'Longueur'
+            };
+            return [`Score ${risk.score} · mots : ${risk.words.join(' ')}`]
+                .concat(risk.flags.map(flag => `${labels[flag.id] || flag.id} (+${flag.weight}) : ${flag.detail}`))
+                .join('\n');
+        },
+
+        // Where a spam rule matched, for the "Pourquoi ?" panel
+        formatMatchLocation(match) {
+            const fields = {
+                domain: 'nom de domaine',
+                title: 'titre',
+                description: 'description',
+                og_title: 'og:title',
+                og_description: 'og:description',
+                redirect_domain: 'cible de redirection',
+                category: 'analyse IA'
+            };
+            const field = fields[match.field] || match.field;
+            return match.timestamp ? `${field} · ${this.formatDate(match.timestamp)}` : field;
         },
 
         getSpamCategoryStyle(category) {
@@ -308,39 +716,21 @@ function waybackApp() {
             return styles[category] || 'bg-red-100 text-red-800';
         },
 
-        // Custom keywords management
-        addCustomKeywords() {
-            if (!this.newKeywords.trim()) return;
-            
-            const keywords = this.newKeywords.split(',')
-                .map(k => k.trim().toLowerCase())
-                .filter(k => k.length > 0 && !this.customKeywords.includes(k));
-            
-            this.customKeywords.push(...keywords);
-            localStorage.setItem('custom_keywords', JSON.stringify(this.customKeywords));
-            this.newKeywords = '';
-        },
-
-        removeCustomKeyword(index) {
-            this.customKeywords.splice(index, 1);
-            localStorage.setItem('custom_keywords', JSON.stringify(this.customKeywords));
-        },
-
-        clearCustomKeywords() {
-            this.customKeywords = [];
-            localStorage.removeItem('custom_keywords');
-        },
-
-        // Age-based badges
-        getAgeBadgeStyle(timestamp) {
-            const age = this.getArchiveAge(timestamp);
+        // Age-based badges; parking pages get a neutral badge, their date says nothing
+        getAgeBadgeStyle(snapshot) {
+            if (snapshot.parking) return 'bg-gray-200 text-gray-700';
+            const age = this.getArchiveAge(snapshot.timestamp);
             if (age <= 12) return 'bg-green-100 text-green-800'; // Vert: moins d'1 an
             if (age <= 24) return 'bg-orange-100 text-orange-800'; // Orange: année dernière
             return 'bg-red-100 text-red-800'; // Rouge: plus de 18 mois
         },
 
-        getAgeLabel(timestamp) {
-            const age = this.getArchiveAge(timestamp);
+        getAgeLabel(snapshot) {
+            if (snapshot.parking) {
+                const kind = snapshot.parking.for_sale ? 'À vendre' : 'Parking';
+                return snapshot.parking.provider ? `🅿️ ${kind} (${snapshot.parking.provider})` : `🅿️ ${kind}`;
+            }
+            const age = this.getArchiveAge(snapshot.timestamp);
             if (age <= 12) return 'Récent';
             if (age <= 24) return 'Ancien';
             return 'Très ancien';
@@ -363,23 +753,43 @@ function waybackApp() {
 
 
         exportJSON() {
-            const data = JSON.stringify(this.results, null, 2);
+            const data = JSON.stringify({ results: this.results, clusters: this.clusters }, null, 2);
             this.downloadFile(data, 'wayback-results.json', 'application/json');
         },
 
         exportCSV() {
-            let csv = 'Domain,Timestamp,Title,Description,Status,Length,H1_Count\n';
+            let csv = 'Domain,Timestamp,Source,Title,Description,Status,Length,Lang,Hreflang,H1_Count,H1,H2,Keywords,Generator,Twitter_Card,JSONLD_Types,Word_Count,Links_Internal,Links_External,Outbound_Domains,Redirect_Url,Parked,Hidden_Links,Language,Charset,Domain_Risk,Spam_Score\n';
             
             this.results.forEach(domainResult => {
                 domainResult.snapshots.forEach(snapshot => {
                     const row = [
                         domainResult.domain,
                         snapshot.timestamp,
+                        snapshot.source || '',
                         this.escapeCsvValue(snapshot.title),
                         this.escapeCsvValue(snapshot.description),
                         snapshot.status,
                         snapshot.length,
-                        snapshot.h1_count
+                        this.escapeCsvValue(snapshot.lang),
+                        this.escapeCsvValue((snapshot.hreflang || []).map(h => `${h.lang}:${h.href}`).join(' ')),
+                        snapshot.h1_count,
+                        this.escapeCsvValue((snapshot.h1 || []).join(' | ')),
+                        this.escapeCsvValue((snapshot.h2 || []).join(' | ')),
+                        this.escapeCsvValue(snapshot.keywords),
+                        this.escapeCsvValue(snapshot.generator),
+                        this.escapeCsvValue(snapshot.twitter_card),
+                        this.escapeCsvValue((snapshot.jsonld_types || []).join(' ')),
+                        snapshot.word_count ?? '',
+                        snapshot.links_internal ?? '',
+                        snapshot.links_external ?? '',
+                        this.escapeCsvValue([...new Set((snapshot.outbound_links || []).map(l => l.domain))].join(' ')),
+                        this.escapeCsvValue(snapshot.redirect_url),
+                        this.escapeCsvValue(snapshot.parking ? snapshot.parking.provider || 'parked' : ''),
+                        this.escapeCsvValue([...new Set((snapshot.hidden_links || []).map(l => l.domain))].join(' ')),
+                        this.escapeCsvValue(snapshot.language),
+                        this.escapeCsvValue(snapshot.charset),
+                        domainResult.domain_risk ? domainResult.domain_risk.score : '',
+                        snapshot.spam ? snapshot.spam.score : ''
                     ].join(',');
                     csv += row + '\n';
                 });
@@ -388,6 +798,32 @@ function waybackApp() {
             this.downloadFile(csv, 'wayback-results.csv', 'text/csv');
         },
 
+        // Language filter of the results: detected language, or domains that changed language
+        matchesLanguageFilter(domainResult) {
+            if (this.languageChangesOnly && !(domainResult.language_changes || []).length) return false;
+            if (!this.languageFilter) return true;
+            return (domainResult.snapshots || []).some(s => s.language === this.languageFilter);
+        },
+
+        // "fr → ja" for each change of detected language
+        formatLanguageChanges(domainResult) {
+            return (domainResult.language_changes || []).map(change => `${change.from} → ${change.to}`).join(', ');
+        },
+
+        // Compact SEO line of a snapshot card: language, CMS, word and link counts
+        formatSeoSummary(snapshot) {
+            if (snapshot.word_count === undefined) return '';
+            const parts = [];
+            if (snapshot.language || snapshot.lang) parts.push(snapshot.language || snapshot.lang);
+            if (snapshot.charset && snapshot.charset !== 'utf-8') parts.push(snapshot.charset);
+            if (snapshot.generator) parts.push(snapshot.generator);
+            parts.push(`${snapshot.word_count} mots`);
+            parts.push(`liens ${snapshot.links_internal} int. / ${snapshot.links_external} ext.`);
+            if (snapshot.hreflang && snapshot.hreflang.length) parts.push(`${snapshot.hreflang.length} hreflang`);
+            if (snapshot.jsonld_types && snapshot.jsonld_types.length) parts.push(snapshot.jsonld_types.join(', '));
+            return parts.join(' · ');
+        },
+
         escapeCsvValue(value) {
             if (!value) return '';
             const str = String(value);
@@ -418,7 +854,7 @@ function waybackApp() {
             this.discoveredUrls = [];
 
             try {
-                const response = await fetch(`/api/discover-urls/${encodeURIComponent(domain.trim())}`);
+                const response = await fetch(`/api/discover-urls/${encodeURIComponent(domain.trim())}${this.noCache ? '?noCache=1' : ''}`);
                 
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}`);
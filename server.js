@@ -1,271 +1,221 @@
 import express from 'express';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fetch from "node-fetch";
-import * as cheerio from "cheerio";
+import { extractDomain, discoverUrls, configureArchive, getArchive, TIMELINE_PERIODS } from "./lib/wayback.js";
+import { classifyDomain, loadKeywordPacks } from "./lib/spam.js";
+import { analyzeSnapshots } from "./lib/classifier.js";
+import { createProvider, PROVIDERS } from "./lib/providers/index.js";
+import { getProviderOptions, isProviderConfigured, providerStatus, getConcurrency, getRateLimit, getArchiveConfig, getMementoArchives } from "./lib/config.js";
+import { createJobQueue } from "./lib/jobs.js";
+import { archiveLimiter, mapConcurrent } from "./lib/limiter.js";
+import { defaultCache } from "./lib/cache.js";
+import { importWarcStream, createWarcWriter } from "./lib/warc.js";
+import { clusterDomains } from "./lib/clusters.js";
+import { createProfileStore } from "./lib/profiles.js";
+import { diffSnapshots } from "./lib/diff.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Captures per domain in "last N" mode (timeline mode has its own cap, TIMELINE_MAX_CAPTURES)
+const MAX_SNAPSHOTS = 20;
+const WARC_UPLOAD_LIMIT = parseByteSize(process.env.WARC_UPLOAD_LIMIT || '200mb');
+
+const concurrency = getConcurrency();
+archiveLimiter.configure(getRateLimit());
+configureArchive(getArchiveConfig());
 
 app.use(express.json());
 app.use(express.static('public'));
 
-// Utility functions from wayback-last.mjs
-async function sleep(ms) {
-    return new Promise((res) => setTimeout(res, ms));
+const profiles = createProfileStore();
+
+// "200mb", "512kb", "1gb" or a plain byte count
+function parseByteSize(value) {
+    const m = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!m) {
+        throw new Error(`Invalid size: ${value} (expected e.g. 200mb)`);
+    }
+    return Math.floor(Number(m[1]) * 1024 ** ['b', 'kb', 'mb', 'gb'].indexOf((m[2] || 'b').toLowerCase()));
 }
 
-async function fetchRetry(url, opts = {}, retries = 3, backoffMs = 400) {
-    let lastErr;
-    for (let i = 0; i <= retries; i++) {
-        try {
-            const res = await fetch(url, {
-                headers: {
-                    "user-agent": "wayback-cdx-extractor/1.0 (+https://example.local)",
-                    ...(opts.headers || {}),
-                },
-                ...opts,
-            });
-            if (!res.ok) {
-                if ((res.status === 429 || res.status >= 500) && i < retries) {
-                    await sleep(backoffMs * Math.pow(2, i));
-                    continue;
-                }
-                const text = await res.text().catch(() => "");
-                throw new Error(`HTTP ${res.status} for ${url}\n${text.slice(0, 200)}`);
-            }
-            return res;
-        } catch (err) {
-            lastErr = err;
-            if (i < retries) {
-                await sleep(backoffMs * Math.pow(2, i));
-                continue;
-            }
+// Validate the extraction options shared by /api/extract and /api/jobs.
+// Returns { error } or { options } (serializable, so jobs can persist them).
+function parseRunOptions(body) {
+    const { n = 5, unique = false, timeline = null, from, to, customKeywords = [], profile = null, analyzeContent = false, provider = providerStatus().default, noCache = false, sources = [], exportWarc = false, allStatuses = false, keywordPacks = [], autoPacks = true } = body;
+
+    if (!Array.isArray(customKeywords)) {
+        return { error: 'customKeywords must be an array' };
+    }
+
+    // Keyword profiles are referenced by id; the job keeps the profile as it was when queued
+    const keywordProfile = profile ? profiles.get(String(profile)) : null;
+    if (profile && !keywordProfile) {
+        return { error: `Unknown keyword profile: ${profile}` };
+    }
+
+    if (!Array.isArray(keywordPacks)) {
+        return { error: 'keywordPacks must be an array' };
+    }
+    const unknownPacks = keywordPacks.filter(language => !loadKeywordPacks().has(language));
+    if (unknownPacks.length) {
+        return { error: `Unknown keyword pack(s): ${unknownPacks.join(', ')}` };
+    }
+
+    if (timeline && !TIMELINE_PERIODS[timeline]) {
+        return { error: `Invalid timeline period: ${timeline}` };
+    }
+
+    if (!Number.isInteger(n) || n < 1 || n > MAX_SNAPSHOTS) {
+        return { error: `n must be an integer between 1 and ${MAX_SNAPSHOTS}` };
+    }
+
+    // CDX range, same format as the CLI's --from/--to
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && value !== null && value !== '' && !/^\d{4,14}$/.test(String(value))) {
+            return { error: `Invalid ${name} timestamp: ${value} (expected YYYY[MMDDhhmmss])` };
+        }
+    }
+
+    // Memento archives are referenced by name, their definitions stay in the server config
+    if (!Array.isArray(sources)) {
+        return { error: 'sources must be an array' };
+    }
+    const available = getMementoArchives().map(a => a.name);
+    const unknown = sources.filter(name => !available.includes(name));
+    if (unknown.length) {
+        return { error: `Unknown archive(s): ${unknown.join(', ')}` };
+    }
+
+    // Credentials come from the server config (env / wayback.config.json), never from the request
+    if (analyzeContent) {
+        if (!provider) {
+            return { error: 'No AI provider is configured on the server' };
+        }
+        if (!PROVIDERS[provider]) {
+            return { error: `Unknown provider: ${provider}` };
+        }
+        if (!isProviderConfigured(provider)) {
+            return { error: `Provider ${provider} is not configured on the server` };
         }
     }
-    throw lastErr;
+
+    return {
+        options: { n, unique, timeline, from, to, customKeywords, profile: keywordProfile, provider: analyzeContent ? provider : null, noCache: Boolean(noCache), sources, exportWarc: Boolean(exportWarc), allStatuses: Boolean(allStatuses), keywordPacks, autoPacks: Boolean(autoPacks) },
+    };
 }
 
-async function getCdxRows(domain, n = 5, unique = false) {
-    const base = new URL("https://web.archive.org/cdx/search/cdx");
-    base.searchParams.set("url", domain);
-    base.searchParams.set("output", "json");
-    base.searchParams.append("filter", "mimetype:text/html");
-    base.searchParams.append("filter", "statuscode:200");
-    base.searchParams.set("fl", "timestamp,original,mimetype,statuscode,digest,length");
-    base.searchParams.set("fastLatest", "true");
-    base.searchParams.set("limit", `-${n}`);
-    if (unique) base.searchParams.set("collapse", "digest");
-
-    const res = await fetchRetry(base.toString());
-    const json = await res.json();
-    const rows = json.slice(1);
-    return rows.map((r) => ({
-        timestamp: r[0],
-        original: r[1],
-        mimetype: r[2],
-        statuscode: r[3],
-        digest: r[4],
-        length: Number(r[5] ?? 0),
-    }));
+// WARC export of a job: one file next to the job, appended domain after domain
+function jobWarcPath(job) {
+    return path.join(job.dir, `${job.id}.warc.gz`);
 }
 
-function makeIdUrl(timestamp, original) {
-    return `https://web.archive.org/web/${timestamp}id_/${original}`;
+async function processDomain(domain, { n, unique, timeline, from, to, customKeywords = [], profile = null, provider = null, noCache = false, sources = [], exportWarc = false, allStatuses = false, keywordPacks = [], autoPacks = true }, job = null) {
+    const archives = getMementoArchives().filter(a => sources.includes(a.name));
+    const result = await extractDomain(domain, {
+        n, unique, timeline, from, to, allStatuses,
+        sources: archives.length ? archives : null,
+        warc: exportWarc && job ? createWarcWriter(jobWarcPath(job), { job: job.id }) : null,
+        concurrency: concurrency.snapshots,
+        // noCache: neither read nor write the on-disk cache
+        cache: noCache ? false : defaultCache,
+    });
+
+    return classifyResult(result, { customKeywords, profile, provider, keywordPacks, autoPacks });
 }
 
-async function extractFromSnapshot(snapUrl) {
-    const htmlRes = await fetchRetry(snapUrl);
-    const html = await htmlRes.text();
-    const $ = cheerio.load(html);
-
-    const pick = (sel, attr = "content") => $(sel).attr(attr) || "";
-    const title = $("title").first().text().trim();
-    const description = pick('meta[name="description"]');
-    const canonical = pick('link[rel="canonical"]', "href");
-    const robots = pick('meta[name="robots"]');
-    const ogTitle = pick('meta[property="og:title"]');
-    const ogDesc = pick('meta[property="og:description"]');
-    const h1_count = $("h1").length;
-
-    // Extract complete HTML content for copy-paste reuse
-    // Keep the full HTML but clean up Wayback-specific elements
-    $('script[src*="web.archive.org"]').remove(); // Remove Wayback scripts
-    $('link[href*="web.archive.org"]').remove(); // Remove Wayback styles
-    $('.wb-autocomplete-suggestions').remove(); // Remove Wayback suggestions
-    $('#wm-ipp-base').remove(); // Remove Wayback toolbar
-    $('#donato').remove(); // Remove donation banner
-    $('[id*="wm-"]').remove(); // Remove other Wayback elements
-    
-    return { 
-        title, 
-        description, 
-        canonical, 
-        robots, 
-        og_title: ogTitle, 
-        og_description: ogDesc, 
-        h1_count
-    };
+async function classifyResult(result, { customKeywords = [], profile = null, provider = null, keywordPacks = [], autoPacks = true }) {
+    // Add AI analysis if requested
+    if (provider) {
+        await analyzeSnapshots(result, createProvider(provider, getProviderOptions(provider)));
+    }
+
+    // Rule-based spam verdict (also takes the AI categories into account)
+    // Keyword packs: the selected ones, plus each snapshot's detected language
+    classifyDomain(result, { customKeywords, profile, packs: keywordPacks, autoPacks });
+
+    return result;
 }
 
+const jobs = createJobQueue({ processDomain, concurrency: concurrency.domains });
 
-async function analyzeWithPerplexity(title, description, domain, apiKey) {
-    if (!apiKey || !title) return null;
-    
-    try {
-        const prompt = `Analyze this website based on its title and description, then categorize it:
-
-Title: "${title}"
-Description: "${description || 'N/A'}"
-Domain: ${domain}
-
-Categorize this site into ONE of these categories:
-- Clean: Professional, legitimate business or informational sites
-- Casino/Jeux: Gambling, betting, casino sites
-- Contenu adulte: Adult content, dating, explicit material
-- Pharma/Santé: Pharmacy, medication, health supplements (often suspicious)
-- Finance suspect: Crypto, forex trading, payday loans, get-rich schemes
-- Contrefaçon: Fake designer goods, replica products
-- Piratage: Software cracks, keygens, pirated content
-- Spam générique: Generic spam with clickbait titles
-- E-commerce: Legitimate online stores, shopping sites
-- Blog/Info: Blogs, news, informational content
-- Tech: Technology, software, development sites
-- Actualités: News, media sites
-
-Focus on detecting spam/suspicious content. Respond with ONLY the category name (e.g., "Clean" or "Casino/Jeux").`;
-
-        const response = await fetch('https://api.perplexity.ai/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: 'llama-3.1-sonar-small-128k-online',
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 50
-            })
-        });
+// API endpoint for AI provider status (no secrets)
+app.get('/api/providers', (req, res) => {
+    res.json(providerStatus());
+});
 
-        if (!response.ok) {
-            console.error(`Perplexity API error: ${response.status}`);
-            return null;
-        }
+// API endpoint for the archive in use (CDX and replay URLs) and the Memento archives on offer
+app.get('/api/archive', (req, res) => {
+    res.json({
+        ...getArchive(),
+        memento: getMementoArchives().map(({ name, label }) => ({ name, label })),
+    });
+});
 
-        const data = await response.json();
-        const category = data.choices?.[0]?.message?.content?.trim();
-        
-        // Validate category
-        const validCategories = [
-            'Clean', 'Casino/Jeux', 'Contenu adulte', 'Pharma/Santé', 'Finance suspect', 
-            'Contrefaçon', 'Piratage', 'Spam générique', 'E-commerce', 'Blog/Info', 'Tech', 'Actualités'
-        ];
-        return validCategories.includes(category) ? category : 'Spam/Suspect';
-        
-    } catch (error) {
-        console.error('Perplexity analysis error:', error);
-        return null;
+// API endpoint for the bundled spam keyword packs (one per language)
+app.get('/api/keyword-packs', (req, res) => {
+    res.json([...loadKeywordPacks().values()].map(({ language, label, rules }) => ({
+        language,
+        label,
+        keywords: rules.length,
+        categories: [...new Set(rules.map(rule => rule.category))],
+    })));
+});
+
+// API endpoints for the shared keyword profiles (block/allow lists, weights)
+app.get('/api/profiles', (req, res) => {
+    res.json({ profiles: profiles.list() });
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+    const profile = profiles.get(req.params.id);
+
+    if (!profile) {
+        return res.status(404).json({ error: `Profil ${req.params.id} introuvable` });
     }
-}
 
-async function processDomain(domain, n, unique, analyzeContent = false, apiKey = null) {
-    const rows = await getCdxRows(domain, n, unique);
+    res.json(profile);
+});
 
-    if (!rows.length) {
-        return { domain, snapshots: [] };
+app.post('/api/profiles', (req, res) => {
+    try {
+        res.status(201).json(profiles.save(req.body, { create: true }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
+});
 
-    const snapshots = [];
-    for (const row of rows) {
-        const snap = makeIdUrl(row.timestamp, row.original);
-        try {
-            const parsed = await extractFromSnapshot(snap);
-            const snapshot = {
-                timestamp: row.timestamp,
-                snapshot: snap,
-                original: row.original,
-                status: row.statuscode,
-                length: row.length,
-                digest: row.digest,
-                title: parsed.title,
-                description: parsed.description,
-                canonical: parsed.canonical,
-                robots: parsed.robots,
-                og_title: parsed.og_title,
-                og_description: parsed.og_description,
-                h1_count: parsed.h1_count,
-            };
+// Replace a profile; a new name moves it to a new id
+app.put('/api/profiles/:id', (req, res) => {
+    if (!profiles.get(req.params.id)) {
+        return res.status(404).json({ error: `Profil ${req.params.id} introuvable` });
+    }
 
+    try {
+        res.json(profiles.save(req.body, { replaces: req.params.id }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-            // Add AI analysis if requested
-            if (analyzeContent && apiKey && parsed.title) {
-                const category = await analyzeWithPerplexity(parsed.title, parsed.description, domain, apiKey);
-                if (category) {
-                    snapshot.category = category;
-                }
-                // Small delay between AI calls
-                await sleep(500);
-            }
-
-            snapshots.push(snapshot);
-        } catch (e) {
-            snapshots.push({
-                timestamp: row.timestamp,
-                snapshot: snap,
-                original: row.original,
-                status: row.statuscode,
-                length: row.length,
-                digest: row.digest,
-                title: "",
-                description: "",
-                canonical: "",
-                robots: "",
-                og_title: "",
-                og_description: "",
-                h1_count: 0,
-                error: String(e.message || e),
-            });
-        }
-        await sleep(150);
+app.delete('/api/profiles/:id', (req, res) => {
+    if (!profiles.remove(req.params.id)) {
+        return res.status(404).json({ error: `Profil ${req.params.id} introuvable` });
     }
 
-    return { domain, snapshots };
-}
+    res.json({ deleted: req.params.id });
+});
 
 // API endpoint for URL discovery
 app.get('/api/discover-urls/:domain', async (req, res) => {
     const domain = req.params.domain;
     
     try {
-        // Get all URLs for this domain from Wayback CDX
-        const base = new URL("https://web.archive.org/cdx/search/cdx");
-        base.searchParams.set("url", domain + "/*");
-        base.searchParams.set("output", "json");
-        base.searchParams.append("filter", "mimetype:text/html");
-        base.searchParams.append("filter", "statuscode:200");
-        base.searchParams.set("fl", "timestamp,original");
-        base.searchParams.set("limit", "1000"); // Get up to 1000 URLs
-        base.searchParams.set("collapse", "urlkey"); // Deduplicate by URL
-        
-        const response = await fetchRetry(base.toString());
-        const json = await response.json();
-        
-        // Skip header row and format results
-        const urls = json.slice(1).map(row => ({
-            timestamp: row[0],
-            original: row[1],
-            snapshot: makeIdUrl(row[0], row[1])
-        }));
+        // Get all URLs for this domain from Wayback CDX (up to 1000, deduplicated by URL)
+        const urls = await discoverUrls(domain, { cache: req.query.noCache === 'true' || req.query.noCache === '1' ? false : defaultCache });
         
         res.json({ domain, urls });
     } catch (error) {
@@ -276,41 +226,209 @@ app.get('/api/discover-urls/:domain', async (req, res) => {
     }
 });
 
+// API endpoint for the diff of two captures of the same URL (configured archive only)
+app.get('/api/diff', async (req, res) => {
+    const { url, from, to } = req.query;
+    if (!url || !from || !to) {
+        return res.status(400).json({ error: 'url, from and to are required' });
+    }
+    if (!/^\d{4,14}$/.test(from) || !/^\d{4,14}$/.test(to)) {
+        return res.status(400).json({ error: 'from and to must be timestamps (YYYY[MMDDhhmmss])' });
+    }
+    if (/\s/.test(url) || (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https?:\/\//i.test(url))) {
+        return res.status(400).json({ error: `Invalid url: ${url}` });
+    }
+
+    try {
+        res.json(await diffSnapshots(url, from, to, { cache: req.query.noCache === 'true' || req.query.noCache === '1' ? false : defaultCache }));
+    } catch (error) {
+        console.error(`Error diffing ${url} (${from} -> ${to}):`, error);
+        res.status(500).json({
+            error: `Erreur lors de la comparaison des captures de ${url}: ${error.message}`
+        });
+    }
+});
+
+// API endpoints for the on-disk archive cache
+app.get('/api/cache', (req, res) => {
+    res.json(defaultCache.stats());
+});
+
+app.delete('/api/cache', (req, res) => {
+    const only = req.query.only;
+    if (only && only !== 'cdx' && only !== 'snapshots') {
+        return res.status(400).json({ error: 'only must be "cdx" or "snapshots"' });
+    }
+    defaultCache.purge({ cdx: !only || only === 'cdx', snapshots: !only || only === 'snapshots' });
+    res.json(defaultCache.stats());
+});
 
 // API endpoint for bulk extraction
 app.post('/api/extract', async (req, res) => {
-    const { domains, n = 5, unique = false, analyzeContent = false, apiKey = null } = req.body;
+    const { domains } = req.body;
 
     if (!domains || !Array.isArray(domains)) {
         return res.status(400).json({ error: 'Domains array is required' });
     }
 
+    const { options, error } = parseRunOptions(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (options.exportWarc) {
+        return res.status(400).json({ error: 'exportWarc requires a job (POST /api/jobs)' });
+    }
+
     res.setHeader('Content-Type', 'application/x-ndjson');
     res.setHeader('Transfer-Encoding', 'chunked');
 
-    for (const domain of domains) {
+    // Domains complete in any order: results and errors are written in input
+    // order (a finished domain waits for the ones before it), progress lines
+    // right away; every line carries the input `index`
+    const lines = new Array(domains.length);
+    let written = 0;
+    const flush = () => {
+        while (written < domains.length && lines[written]) {
+            res.write(JSON.stringify(lines[written++]) + '\n');
+        }
+    };
+    const results = await mapConcurrent(domains, concurrency.domains, async (domain, index) => {
+        res.write(JSON.stringify({ type: 'progress', index, domain }) + '\n');
         try {
-            // Send progress update
-            res.write(JSON.stringify({ type: 'progress', domain }) + '\n');
-
-            // Process domain
-            const result = await processDomain(domain.trim(), n, unique, analyzeContent, apiKey);
-            
-            // Send result
-            res.write(JSON.stringify({ type: 'result', data: result }) + '\n');
+            const result = await processDomain(domain.trim(), options);
+            lines[index] = { type: 'result', index, data: result };
+            return result;
         } catch (error) {
-            // Send error
-            res.write(JSON.stringify({ 
-                type: 'error', 
-                domain, 
-                message: `Erreur pour ${domain}: ${error.message}` 
-            }) + '\n');
+            lines[index] = {
+                type: 'error',
+                index,
+                domain,
+                message: `Erreur pour ${domain}: ${error.message}`
+            };
+            return null;
+        } finally {
+            flush();
         }
-    }
+    });
 
+    // Batch-level footprints, once every domain is done
+    res.write(JSON.stringify({ type: 'clusters', data: clusterDomains(results.filter(Boolean)) }) + '\n');
     res.end();
 });
 
+// API endpoints for background extraction jobs (persisted, resumed after restart)
+app.post('/api/jobs', (req, res) => {
+    const { domains } = req.body;
+
+    if (!domains || !Array.isArray(domains)) {
+        return res.status(400).json({ error: 'Domains array is required' });
+    }
+
+    const { options, error } = parseRunOptions(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const cleaned = domains.map(d => String(d).trim()).filter(d => d.length > 0);
+    const job = jobs.create(cleaned, options);
+    res.status(202).json({ id: job.id, status: job.status, total: job.total });
+});
+
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobs.list() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const job = jobs.get(req.params.id, { offset });
+
+    if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} introuvable` });
+    }
+
+    res.json(job);
+});
+
+// Footprint clusters over the results of a job (so far, if it is still running)
+app.get('/api/jobs/:id/clusters', (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} introuvable` });
+    }
+
+    res.json(clusterDomains(job.results));
+});
+
+app.get('/api/jobs/:id/warc', (req, res) => {
+    const job = jobs.get(req.params.id);
+    const file = job && jobWarcPath({ id: job.id, dir: jobs.dir });
+
+    if (!job || !fs.existsSync(file)) {
+        return res.status(404).json({ error: `Pas d'export WARC pour le job ${req.params.id}` });
+    }
+
+    res.download(file, `wayback-${job.id}.warc.gz`);
+});
+
+// API endpoint for WARC import: the raw WARC/WARC.gz file is the request body,
+// run options go in the query string (n, timeline, from, to, domain, allPages,
+// customKeywords=a,b, profile, keywordPacks=fr,de, autoPacks, analyzeContent, provider). Nothing is fetched from the archives.
+app.post('/api/warc', async (req, res) => {
+    if (!Number(req.headers['content-length']) && !req.headers['transfer-encoding']) {
+        return res.status(400).json({ error: 'WARC file is required as request body' });
+    }
+    if (Number(req.headers['content-length']) > WARC_UPLOAD_LIMIT) {
+        return res.status(413).json({ error: `WARC trop volumineux (limite: ${WARC_UPLOAD_LIMIT} octets)` });
+    }
+
+    const q = req.query;
+    const { options, error } = parseRunOptions({
+        n: q.n !== undefined ? Number(q.n) : undefined,
+        timeline: q.timeline || null,
+        from: q.from,
+        to: q.to,
+        customKeywords: q.customKeywords ? String(q.customKeywords).split(',').map(k => k.trim()).filter(Boolean) : [],
+        profile: q.profile || null,
+        keywordPacks: q.keywordPacks ? String(q.keywordPacks).split(',').map(k => k.trim()).filter(Boolean) : [],
+        autoPacks: !(q.autoPacks === 'false' || q.autoPacks === '0'),
+        analyzeContent: q.analyzeContent === 'true' || q.analyzeContent === '1',
+        ...(q.provider ? { provider: q.provider } : {}),
+    });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // The upload is parsed as it arrives (gzip inflated on the fly), never
+    // buffered whole, and the import yields between records
+    let results;
+    try {
+        results = await importWarcStream(req, {
+            file: q.file || null,
+            domain: q.domain || null,
+            allPages: q.allPages === 'true' || q.allPages === '1',
+            n: q.n !== undefined ? options.n : undefined,
+            timeline: options.timeline,
+            from: options.from,
+            to: options.to,
+            maxBytes: WARC_UPLOAD_LIMIT,
+        });
+    } catch (error) {
+        return res.status(400).json({ error: `WARC invalide: ${error.message}` });
+    }
+
+    const errors = [];
+    for (const result of results) {
+        try {
+            await classifyResult(result, options);
+        } catch (error) {
+            errors.push(`Erreur pour ${result.domain}: ${error.message}`);
+        }
+    }
+
+    res.json({ results, errors, clusters: clusterDomains(results) });
+});
+
 // Serve the main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -330,4 +448,9 @@ function startServer(port) {
     });
 }
 
+const resumed = jobs.resume();
+if (resumed.length) {
+    console.log(`🔁 Resuming ${resumed.length} interrupted job(s)`);
+}
+
 startServer(PORT);
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { visibleBlocks, diffBlocks, diffFields, diffHtml } from "../lib/diff.js";
+
+test("visible text is split into blocks, scripts and toolbar left out", () => {
+  const html = `<html><head><title>Home</title><script>var x = 1;</script><meta name="x" content="y"></head>
+    <body><div id="wm-ipp-base">Wayback toolbar</div><h1>Welcome</h1><p>First   paragraph
+    here</p><ul><li>One</li><li>Two</li></ul><style>p {}</style></body></html>`;
+  assert.deepEqual(visibleBlocks(html), ["Home", "Welcome", "First paragraph here", "One", "Two"]);
+});
+
+test("blocks are diffed with removals before additions and unchanged runs collapsed", () => {
+  const before = ["a", "b", "c", "d", "e", "f", "g", "old text about cooking"];
+  const after = ["a", "b", "c", "d", "e", "f", "g", "new text about casino"];
+  const diff = diffBlocks(before, after);
+  assert.equal(diff.added, 1);
+  assert.equal(diff.removed, 1);
+  assert.equal(diff.unchanged, 7);
+  assert.deepEqual(diff.blocks.map((b) => b.op), ["skipped", "equal", "equal", "removed", "added"]);
+  assert.equal(diff.blocks[0].count, 5);
+  assert.deepEqual(diff.blocks[3].parts, [
+    { op: "removed", text: "old" },
+    { op: "equal", text: "text about" },
+    { op: "removed", text: "cooking" },
+  ]);
+  assert.deepEqual(diff.blocks[4].parts, [
+    { op: "added", text: "new" },
+    { op: "equal", text: "text about" },
+    { op: "added", text: "casino" },
+  ]);
+});
+
+test("identical texts collapse into one skipped run", () => {
+  assert.deepEqual(diffBlocks(["a", "b"], ["a", "b"]), { added: 0, removed: 0, unchanged: 2, blocks: [{ op: "skipped", count: 2 }] });
+});
+
+test("fields report scalar changes and list additions/removals", () => {
+  const changes = diffFields(
+    { title: "Recipes", description: "", tracking_ids: ["UA-1-1"], outbound_links: [{ domain: "a.com" }] },
+    { title: "Casino", description: "", tracking_ids: ["UA-1-1", "G-2"], outbound_links: [{ domain: "b.com" }] }
+  );
+  assert.deepEqual(changes, [
+    { field: "title", before: "Recipes", after: "Casino" },
+    { field: "tracking_ids", before: ["UA-1-1"], after: ["UA-1-1", "G-2"], added: ["G-2"], removed: [] },
+    { field: "outbound_domains", before: ["a.com"], after: ["b.com"], added: ["b.com"], removed: ["a.com"] },
+  ]);
+});
+
+test("two pages are diffed on fields and text", () => {
+  const before = { url: "http://example.com/", html: "<title>Recipes</title><p>Soup of the day</p>" };
+  const after = { url: "http://example.com/", html: '<title>Casino</title><p>Soup of the day</p><a href="http://bet.com/">Bet</a>' };
+  const diff = diffHtml(before, after);
+  assert.deepEqual(
+    diff.fields.filter((f) => f.field === "title" || f.field === "outbound_domains").map((f) => [f.field, f.after]),
+    [
+      ["title", "Casino"],
+      ["outbound_domains", ["bet.com"]],
+    ]
+  );
+  assert.deepEqual(
+    diff.text.blocks.filter((b) => b.op !== "equal").map((b) => [b.op, b.text]),
+    [
+      ["removed", "Recipes"],
+      ["added", "Casino"],
+      ["added", "Bet"],
+    ]
+  );
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createRateLimiter, parseRetryAfter, mapConcurrent } from "../lib/limiter.js";
+import { fetchRetry } from "../lib/wayback.js";
+
+// Local server answering each request with the next [status, headers] of `replies`
+async function serve(replies) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(Date.now());
+    const [status, headers = {}] = replies[Math.min(seen.length - 1, replies.length - 1)];
+    res.writeHead(status, headers);
+    res.end("ok");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/`, seen, close: () => server.close() };
+}
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("2"), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter("soon"), null);
+  const ms = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(ms > 3000 && ms <= 5000);
+});
+
+test("throttle pauses every caller and halves the rate", async () => {
+  const limiter = createRateLimiter({ perSecond: 100, burst: 5 });
+  limiter.throttle(150);
+  assert.equal(limiter.stats().perSecond, 50);
+  const start = Date.now();
+  await limiter.acquire();
+  assert.ok(Date.now() - start >= 140);
+});
+
+test("fetchRetry backs off on 429 through the shared limiter", async () => {
+  const server = await serve([[429, { "retry-after": "0.2" }], [200]]);
+  const limiter = createRateLimiter({ perSecond: 100, burst: 5 });
+  try {
+    const res = await fetchRetry(server.url, { limiter });
+    assert.equal(res.status, 200);
+    assert.equal(server.seen.length, 2);
+    assert.ok(server.seen[1] - server.seen[0] >= 190, "Retry-After honored");
+    assert.equal(limiter.stats().perSecond, 50);
+  } finally {
+    server.close();
+  }
+});
+
+test("fetchRetry gives up after its retries", async () => {
+  const server = await serve([[429, { "retry-after": "0" }]]);
+  try {
+    await assert.rejects(fetchRetry(server.url, { limiter: createRateLimiter({ perSecond: 100 }) }, 2, 1), /HTTP 429/);
+    assert.equal(server.seen.length, 3);
+  } finally {
+    server.close();
+  }
+});
+
+test("mapConcurrent bounds calls in flight and keeps input order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapConcurrent([30, 10, 20, 5], 2, async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    inFlight--;
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
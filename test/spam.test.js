@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { loadRules, classifySnapshot, classifyDomain } from "../lib/spam.js";
+
+const rules = loadRules(fileURLToPath(new URL("./fixtures/spam-rules.json", import.meta.url)));
+
+test("word rules match whole words only", () => {
+  assert.deepEqual(
+    classifySnapshot({ title: "Best online casino" }, rules).matches.map((m) => [m.field, m.match]),
+    [["title", "casino"]]
+  );
+  assert.equal(classifySnapshot({ title: "Casinos and pokerstars" }, rules).score, 0);
+});
+
+test("regex rules use their pattern", () => {
+  const { score, matches } = classifySnapshot({ title: "Cheap V1agr4 online" }, rules);
+  assert.equal(score, 1);
+  assert.equal(matches[0].rule, "pharma-spelling");
+  assert.equal(matches[0].category, "Pharma/Santé");
+});
+
+test("rules only look at their fields", () => {
+  assert.equal(classifySnapshot({ description: "Cheap viagra" }, rules).score, 0);
+  assert.equal(classifySnapshot({ og_description: "Live odds" }, rules).score, 0.5);
+});
+
+test("weights add up, each rule counted once", () => {
+  assert.equal(classifySnapshot({ title: "Poker odds and casino tips" }, rules).score, 2.5);
+  assert.equal(classifySnapshot({ title: "Casino", description: "Casino casino" }, rules).score, 1);
+});
+
+test("a domain is spam from the threshold up", () => {
+  const below = { domain: "example.com", snapshots: [{ timestamp: "20200101000000", title: "Latest odds" }] };
+  assert.equal(classifyDomain(below, { ruleset: rules }).is_spam, false);
+  assert.equal(below.spam.score, 0.5);
+  assert.equal(below.spamCategory, null);
+
+  const above = { domain: "example.com", snapshots: [{ timestamp: "20200101000000", title: "Casino odds" }] };
+  assert.equal(classifyDomain(above, { ruleset: rules }).is_spam, true);
+  assert.equal(above.spamCategory, "Casino/Jeux");
+  assert.equal(above.snapshots[0].spam.score, 1.5);
+});
+
+test("domain rules apply to the domain name", () => {
+  const result = { domain: "casino-royal.com", snapshots: [] };
+  const verdict = classifyDomain(result, { ruleset: rules });
+  assert.equal(verdict.is_spam, true);
+  assert.deepEqual(verdict.matches.map((m) => [m.field, m.match]), [["domain", "casino"]]);
+});
+
+test("an allowed name is not scored, its captures still are", () => {
+  const name = classifyDomain({ domain: "casino-news.com", snapshots: [] }, { ruleset: rules });
+  assert.equal(name.is_spam, false);
+  assert.equal(name.allowed_by, "allow:news:news");
+  assert.equal(name.suppressed, true);
+  assert.equal(name.matches[0].suppressed_by, "allow:news:news");
+
+  const content = classifyDomain(
+    { domain: "casino-news.com", snapshots: [{ timestamp: "20200101000000", title: "Online poker" }] },
+    { ruleset: rules }
+  );
+  assert.equal(content.is_spam, true);
+  assert.equal(content.score, 1);
+  assert.equal(content.allowed_but_matched, true);
+});
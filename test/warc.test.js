@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { Readable } from "stream";
+import { readWarcRecords, readWarcStream, importWarc, importWarcStream, createWarcWriter } from "../lib/warc.js";
+
+function warcRecord(headers, block) {
+  const head = ["WARC/1.0", ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`), `Content-Length: ${block.length}`];
+  return Buffer.concat([Buffer.from(head.join("\r\n") + "\r\n\r\n"), block, Buffer.from("\r\n\r\n")]);
+}
+
+function response(uri, date, html, httpHeaders = "Content-Type: text/html; charset=utf-8") {
+  const block = Buffer.from(`HTTP/1.1 200 OK\r\n${httpHeaders}\r\n\r\n${html}`);
+  return warcRecord(
+    {
+      "WARC-Type": "response",
+      "WARC-Record-ID": `<urn:uuid:${date}>`,
+      "WARC-Date": date,
+      "WARC-Target-URI": uri,
+      "Content-Type": "application/http; msgtype=response",
+    },
+    block
+  );
+}
+
+// One gzip member per record, as crawlers write .warc.gz files
+const crawl = Buffer.concat(
+  [
+    warcRecord({ "WARC-Type": "warcinfo", "WARC-Date": "2020-01-01T00:00:00Z" }, Buffer.from("software: test\r\n")),
+    response("http://www.example.com/", "2020-01-01T10:00:00Z", "<title>First</title>"),
+    response("http://example.com/about", "2020-06-01T10:00:00Z", "<title>About</title>"),
+    response(
+      "http://example.com/",
+      "2021-01-01T10:00:00Z",
+      "1d\r\n<title>Second</title><p>x</p>\r\n0\r\n\r\n",
+      "Content-Type: text/html\r\nTransfer-Encoding: chunked"
+    ),
+    response("http://other.org/", "2021-02-01T10:00:00Z", "<title>Other</title>"),
+  ].map((record) => zlib.gzipSync(record))
+);
+
+test("records are read from plain and gzipped files", () => {
+  const plain = zlib.gunzipSync(crawl);
+  const types = (buffer) => [...readWarcRecords(buffer)].map((r) => r.headers["warc-type"]);
+  assert.deepEqual(types(crawl), ["warcinfo", "response", "response", "response", "response"]);
+  assert.deepEqual(types(plain), types(crawl));
+  assert.throws(() => [...readWarcRecords(Buffer.from("not a warc file\r\n\r\n"))], /Invalid WARC record/);
+});
+
+test("streamed records match the buffered ones, whatever the chunk size", async () => {
+  const chunks = [];
+  for (let i = 0; i < crawl.length; i += 7) chunks.push(crawl.subarray(i, i + 7));
+  const streamed = [];
+  for await (const record of readWarcStream(Readable.from(chunks))) streamed.push(record);
+  const buffered = [...readWarcRecords(crawl)];
+  assert.deepEqual(
+    streamed.map((r) => [r.offset, r.headers["warc-date"], r.block.toString()]),
+    buffered.map((r) => [r.offset, r.headers["warc-date"], r.block.toString()])
+  );
+  await assert.rejects(async () => {
+    for await (const record of readWarcStream(Readable.from(chunks), { maxBytes: 100 })) assert.ok(record);
+  }, /larger than 100 bytes/);
+});
+
+test("homepage captures become snapshots grouped by host", async () => {
+  const results = importWarc(crawl, { file: "crawl.warc.gz" });
+  assert.deepEqual(results.map((r) => r.domain), ["example.com", "other.org"]);
+  const [example] = results;
+  assert.deepEqual(example.snapshots.map((s) => [s.timestamp, s.title]), [
+    ["20200101100000", "First"],
+    ["20210101100000", "Second"],
+  ]);
+  assert.equal(example.snapshots[0].source, "warc");
+  assert.equal(example.snapshots[0].warc_file, "crawl.warc.gz");
+
+  const streamed = await importWarcStream(Readable.from([crawl]), { file: "crawl.warc.gz" });
+  assert.deepEqual(streamed, results);
+});
+
+test("import options filter pages, hosts and dates", () => {
+  const titles = (options) => importWarc(crawl, options).flatMap((r) => r.snapshots.map((s) => s.title));
+  assert.deepEqual(titles({ allPages: true, domain: "example.com" }), ["First", "About", "Second"]);
+  assert.deepEqual(titles({ from: "2021" }), ["Second", "Other"]);
+  assert.deepEqual(titles({ domain: "example.com", n: 1 }), ["Second"]);
+});
+
+test("exported captures are read back by the importer", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "warc-test-"));
+  const file = path.join(dir, "run.warc.gz");
+  try {
+    const writer = createWarcWriter(file, { job: "test" });
+    writer.writeResponse({
+      targetUri: "http://example.com/",
+      timestamp: "20200101000000",
+      status: 200,
+      headers: { "content-type": "text/html; charset=utf-8", "content-encoding": "gzip" },
+      body: Buffer.from("<title>Café</title>"),
+      sourceUri: "https://web.archive.org/web/20200101000000id_/http://example.com/",
+    });
+    // Reopened: appends, pointing to the same warcinfo
+    createWarcWriter(file).writeResponse({
+      targetUri: "http://example.com/",
+      timestamp: "20210101000000",
+      status: 200,
+      headers: { "content-type": "text/html" },
+      body: Buffer.from("<title>Later</title>"),
+    });
+
+    const records = [...readWarcRecords(fs.readFileSync(file))];
+    assert.deepEqual(records.map((r) => r.headers["warc-type"]), ["warcinfo", "response", "metadata", "response"]);
+    const warcinfo = records[0].headers["warc-record-id"];
+    assert.ok(records.slice(1).every((r) => r.headers["warc-warcinfo-id"] === warcinfo));
+    assert.equal(records[2].headers["warc-concurrent-to"], records[1].headers["warc-record-id"]);
+    assert.match(records[2].block.toString(), /^replay-url: https:\/\/web\.archive\.org\//);
+
+    const [result] = importWarc(fs.readFileSync(file));
+    assert.equal(result.domain, "example.com");
+    assert.deepEqual(result.snapshots.map((s) => [s.timestamp, s.title]), [
+      ["20200101000000", "Café"],
+      ["20210101000000", "Later"],
+    ]);
+
+    fs.writeFileSync(path.join(dir, "other.warc.gz"), "not gzip");
+    assert.throws(() => createWarcWriter(path.join(dir, "other.warc.gz")), /not appending/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -2,24 +2,70 @@
  * Wayback CDX extractor
  * - Fetch the last N snapshots for a domain using Wayback CDX API
  * - For each snapshot, fetch HTML (id_ mode) and extract:
- *   title, meta description, canonical, robots, OG tags, h1_count
+ *   title, meta description, canonical, robots, OG/Twitter tags, lang, hreflang,
+ *   H1/H2 texts, meta keywords, generator, JSON-LD types, word count,
+ *   internal/external link counts, outbound links (anchor, target domain, rel)
+ * - Per domain: outbound link footprints (link farm / PBN flags, see lib/links.js)
+ * - Charset sniffed from HTTP headers / <meta> and decoded; language detected offline (lib/language.js)
+ * - Per domain: hacked-site verdict (hidden spam, foreign-script injection, see lib/compromise.js)
+ * - Per domain: domain-name risk (IDN, typosquats, homoglyphs, risky TLD, see lib/domains.js)
+ * - Parking / domain-for-sale pages are tagged and left out of the verdicts (lib/parking.js)
  * - Output: console.table + JSON and CSV files in ./out
  *
  * Usage:
  *   node wayback-last.mjs linkuma.com
  *   node wayback-last.mjs linkuma.com --n 5
  *   node wayback-last.mjs linkuma.com --n 5 --unique
+ *   node wayback-last.mjs linkuma.com --timeline year
+ *   node wayback-last.mjs --warc crawl.warc.gz
  *
  * Flags:
  *   --n <int>       : number of snapshots to fetch (default 5)
  *   --unique        : de-duplicate by digest (collapse=digest) to get last N *content changes*
+ *   --all-statuses  : also 3xx/4xx/5xx captures; redirects report their target domain
+ *   --timeline <p>  : sample one snapshot per period (year|quarter|month) over the whole
+ *                     archive instead of the last N (every period, at most 120)
+ *   --from <ts>     : only captures from this date (YYYY[MM[DD]])
+ *   --to <ts>       : only captures up to this date (YYYY[MM[DD]])
+ *   --rules <file>  : spam rules file (default rules/spam-rules.json)
+ *   --keywords a,b  : extra spam keywords for this run
+ *   --profile <id>  : shared keyword profile (block/allow lists, weights) from
+ *                     PROFILES_DIR (default ./data/profiles), or a profile .json file
+ *   --packs fr,de   : spam keyword packs applied to every snapshot (rules/keyword-packs)
+ *   --no-auto-packs : don't apply the pack of each snapshot's detected language
+ *   --concurrency <int> : snapshots fetched in parallel (default 2)
+ *   --rate <float>  : max requests/second to the archive (default 1, slows down on 429)
+ *   --analyze <p>   : categorize snapshots with an LLM provider (perplexity|openai),
+ *                     configured through env vars or wayback.config.json
+ *   --archive <url> : pywb collection URL to query instead of web.archive.org
+ *                     (CDX at <url>/cdx, replay at <url>)
+ *   --cdx-url <url>, --replay-url <url> : CDX endpoint / replay prefix of any
+ *                     CDX-server compatible archive
+ *   --sources a,b   : aggregate Memento TimeMaps of these archives instead of the CDX API
+ *                     (ia, archivetoday, ukwa, arquivo or names from wayback.config.json)
+ *   --warc <file>   : read captures from a local WARC/WARC.gz instead of an archive
+ *                     (no network); the domain becomes an optional host filter
+ *   --all-pages     : with --warc, every HTML page instead of homepages only
+ *   --export-warc   : also write every fetched snapshot (body + HTTP headers) to
+ *                     out/<domain>_<stamp>.warc.gz, as evidence for the verdict
+ *   --no-cache      : bypass the on-disk cache (CACHE_DIR, default ./data/cache)
+ *   --purge-cache   : empty the cache first; without a domain, only purge
+ *                     (node wayback-last.mjs --purge-cache)
  */
 
-import fetch from "node-fetch";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import * as cheerio from "cheerio";
+import { extractDomain, configureArchive, DEFAULT_ARCHIVE, TIMELINE_PERIODS } from "./lib/wayback.js";
+import { loadRules, classifyDomain, loadKeywordPacks } from "./lib/spam.js";
+import { createProfileStore, normalizeProfile } from "./lib/profiles.js";
+import { analyzeSnapshots } from "./lib/classifier.js";
+import { createProvider, PROVIDERS } from "./lib/providers/index.js";
+import { getProviderOptions, isProviderConfigured, getConcurrency, getRateLimit, getArchiveConfig, getMementoArchives } from "./lib/config.js";
+import { archiveLimiter } from "./lib/limiter.js";
+import { defaultCache } from "./lib/cache.js";
+import { importWarc, createWarcWriter } from "./lib/warc.js";
+import { clusterDomains } from "./lib/clusters.js";
 
 // ----------------------- utils -----------------------
 const __filename = fileURLToPath(import.meta.url);
@@ -63,10 +109,14 @@ function toCSV(rows) {
 }
 
 function parseArgs(argv) {
-  const args = { n: 5, unique: false };
-  const [_node, _file, domain, ...rest] = argv;
-  if (!domain) {
-    console.error("❌ Missing domain. Usage: node wayback-last.mjs <domain> [--n 5] [--unique]");
+  const args = { n: undefined, unique: false, timeline: null, from: null, to: null, rules: undefined, keywords: [], analyze: null, concurrency: undefined, rate: undefined, noCache: false, purgeCache: false, archive: {}, sources: [], warc: null, allPages: false, exportWarc: false, allStatuses: false, packs: [], autoPacks: true, profile: null };
+  const [_node, _file, ...params] = argv;
+  const domain = params[0] && !params[0].startsWith("--") ? params[0] : null;
+  const rest = domain ? params.slice(1) : params;
+  if (!domain && !rest.includes("--purge-cache") && !rest.includes("--warc")) {
+    console.error(
+      "❌ Missing domain. Usage: node wayback-last.mjs <domain> [--n 5] [--unique] [--timeline year|quarter|month] [--from YYYY] [--to YYYY]"
+    );
     process.exit(1);
   }
   args.domain = domain;
@@ -82,154 +132,235 @@ function parseArgs(argv) {
       i++;
     } else if (a === "--unique") {
       args.unique = true;
+    } else if (a === "--timeline") {
+      const val = rest[i + 1];
+      if (!TIMELINE_PERIODS[val]) {
+        console.error(`❌ --timeline must be one of: ${Object.keys(TIMELINE_PERIODS).join(", ")}`);
+        process.exit(1);
+      }
+      args.timeline = val;
+      i++;
+    } else if (a === "--from" || a === "--to") {
+      const val = rest[i + 1];
+      if (!/^\d{4,14}$/.test(val || "")) {
+        console.error(`❌ ${a} must be a timestamp prefix (YYYY, YYYYMM, YYYYMMDD...)`);
+        process.exit(1);
+      }
+      args[a.slice(2)] = val;
+      i++;
+    } else if (a === "--rules") {
+      const val = rest[i + 1];
+      if (!val || !fs.existsSync(val)) {
+        console.error(`❌ --rules file not found: ${val}`);
+        process.exit(1);
+      }
+      args.rules = val;
+      i++;
+    } else if (a === "--concurrency") {
+      const val = parseInt(rest[i + 1], 10);
+      if (!Number.isFinite(val) || val <= 0) {
+        console.error("❌ --concurrency must be a positive integer");
+        process.exit(1);
+      }
+      args.concurrency = val;
+      i++;
+    } else if (a === "--rate") {
+      const val = parseFloat(rest[i + 1]);
+      if (!Number.isFinite(val) || val <= 0) {
+        console.error("❌ --rate must be a positive number");
+        process.exit(1);
+      }
+      args.rate = val;
+      i++;
+    } else if (a === "--analyze") {
+      const val = rest[i + 1];
+      if (!PROVIDERS[val]) {
+        console.error(`❌ --analyze must be one of: ${Object.keys(PROVIDERS).join(", ")}`);
+        process.exit(1);
+      }
+      args.analyze = val;
+      i++;
+    } else if (a === "--archive" || a === "--cdx-url" || a === "--replay-url") {
+      const val = rest[i + 1];
+      if (!/^https?:\/\//.test(val || "")) {
+        console.error(`❌ ${a} must be an http(s) URL`);
+        process.exit(1);
+      }
+      const key = { "--archive": "baseUrl", "--cdx-url": "cdxUrl", "--replay-url": "replayUrl" }[a];
+      args.archive[key] = val;
+      i++;
+    } else if (a === "--sources") {
+      args.sources = (rest[i + 1] || "").split(",").map((s) => s.trim()).filter(Boolean);
+      i++;
+    } else if (a === "--warc") {
+      const val = rest[i + 1];
+      if (!val || !fs.existsSync(val)) {
+        console.error(`❌ --warc file not found: ${val}`);
+        process.exit(1);
+      }
+      args.warc = val;
+      i++;
+    } else if (a === "--all-pages") {
+      args.allPages = true;
+    } else if (a === "--all-statuses") {
+      args.allStatuses = true;
+    } else if (a === "--export-warc") {
+      args.exportWarc = true;
+    } else if (a === "--no-cache") {
+      args.noCache = true;
+    } else if (a === "--purge-cache") {
+      args.purgeCache = true;
+    } else if (a === "--keywords") {
+      args.keywords = (rest[i + 1] || "").split(",").map((k) => k.trim()).filter(Boolean);
+      i++;
+    } else if (a === "--packs") {
+      args.packs = (rest[i + 1] || "").split(",").map((k) => k.trim().toLowerCase()).filter(Boolean);
+      const unknown = args.packs.filter((p) => !loadKeywordPacks().has(p));
+      if (unknown.length) {
+        console.error(`❌ Unknown keyword pack(s): ${unknown.join(", ")} (available: ${[...loadKeywordPacks().keys()].join(", ")})`);
+        process.exit(1);
+      }
+      i++;
+    } else if (a === "--no-auto-packs") {
+      args.autoPacks = false;
+    } else if (a === "--profile") {
+      args.profile = loadProfile(rest[i + 1] || "");
+      i++;
     }
   }
   return args;
 }
 
-async function sleep(ms) {
-  return new Promise((res) => setTimeout(res, ms));
-}
-
-async function fetchRetry(url, opts = {}, retries = 3, backoffMs = 400) {
-  let lastErr;
-  for (let i = 0; i <= retries; i++) {
-    try {
-      const res = await fetch(url, {
-        headers: {
-          "user-agent": "wayback-cdx-extractor/1.0 (+https://example.local)",
-          ...(opts.headers || {}),
-        },
-        ...opts,
-      });
-      if (!res.ok) {
-        // 429/5xx backoff
-        if ((res.status === 429 || res.status >= 500) && i < retries) {
-          await sleep(backoffMs * Math.pow(2, i));
-          continue;
-        }
-        const text = await res.text().catch(() => "");
-        throw new Error(`HTTP ${res.status} for ${url}\n${text.slice(0, 200)}`);
-      }
-      return res;
-    } catch (err) {
-      lastErr = err;
-      if (i < retries) {
-        await sleep(backoffMs * Math.pow(2, i));
-        continue;
-      }
-    }
+// A profile id from the shared store, or a profile file
+function loadProfile(value) {
+  if (value.endsWith(".json") && fs.existsSync(value)) {
+    return normalizeProfile(JSON.parse(fs.readFileSync(value, "utf8")));
   }
-  throw lastErr;
+  const store = createProfileStore();
+  const profile = store.get(value);
+  if (!profile) {
+    const available = store.list().map((p) => p.id);
+    console.error(`❌ Unknown keyword profile: ${value} (available: ${available.length ? available.join(", ") : "none"})`);
+    process.exit(1);
+  }
+  return profile;
 }
 
 // ----------------------- core -----------------------
-async function getCdxRows(domain, n = 5, unique = false) {
-  // CDX request
-  // - limit=-N  => last N results (most recent)
-  // - filter=mimetype:text/html & statuscode:200  => HTML OK only
-  // - fl=timestamp,original,mimetype,statuscode,digest,length
-  // - fastLatest=true sometimes speeds retrieval of last entries
-  const base = new URL("https://web.archive.org/cdx/search/cdx");
-  base.searchParams.set("url", domain);
-  base.searchParams.set("output", "json");
-  base.searchParams.append("filter", "mimetype:text/html");
-  base.searchParams.append("filter", "statuscode:200");
-  base.searchParams.set("fl", "timestamp,original,mimetype,statuscode,digest,length");
-  base.searchParams.set("fastLatest", "true");
-  base.searchParams.set("limit", `-${n}`);
-  if (unique) base.searchParams.set("collapse", "digest");
-
-  const res = await fetchRetry(base.toString());
-  const json = await res.json();
-  // First row is header when output=json
-  const rows = json.slice(1);
-  // Each row is array aligned with fl order
-  return rows.map((r) => ({
-    timestamp: r[0],
-    original: r[1],
-    mimetype: r[2],
-    statuscode: r[3],
-    digest: r[4],
-    length: Number(r[5] ?? 0),
-  }));
+function loadProvider(analyze) {
+  if (analyze && !isProviderConfigured(analyze)) {
+    throw new Error(`Provider ${analyze} is not configured (see wayback.config.example.json)`);
+  }
+  return analyze ? createProvider(analyze, getProviderOptions(analyze)) : null;
 }
 
-function makeIdUrl(timestamp, original) {
-  // id_ serves raw, un-rewritten HTML (best for parsing)
-  // Ensure no double slashes when original already has scheme
-  return `https://web.archive.org/web/${timestamp}id_/${original}`;
+async function run(args) {
+  if (args.purgeCache) {
+    defaultCache.purge();
+    console.log(`🧹 Cache purged: ${defaultCache.dir}`);
+    if (!args.domain && !args.warc) return;
+  }
+  if (args.warc) return runWarc(args);
+  return runArchive(args);
 }
 
-async function extractFromSnapshot(snapUrl) {
-  const htmlRes = await fetchRetry(snapUrl);
-  const html = await htmlRes.text();
-  const $ = cheerio.load(html);
-
-  const pick = (sel, attr = "content") => $(sel).attr(attr) || "";
-  const title = $("title").first().text().trim();
-  const description = pick('meta[name="description"]');
-  const canonical = pick('link[rel="canonical"]', "href");
-  const robots = pick('meta[name="robots"]');
-  const ogTitle = pick('meta[property="og:title"]');
-  const ogDesc = pick('meta[property="og:description"]');
-  const h1_count = $("h1").length;
+async function runArchive({ domain, n = 5, unique, timeline, from, to, rules, keywords, profile, packs, autoPacks, analyze, concurrency, rate, noCache, archive, sources, exportWarc, allStatuses }) {
+  archiveLimiter.configure({ ...getRateLimit(), ...(rate ? { perSecond: rate } : {}) });
+  // --archive replaces the configured endpoint, --cdx-url/--replay-url override parts of it
+  const { cdxUrl, replayUrl } = configureArchive(archive.baseUrl ? archive : { ...getArchiveConfig(), ...archive });
+  const ruleset = loadRules(rules);
+  const provider = loadProvider(analyze);
+  console.log(
+    `🔎 Domain: ${domain} | N=${n} | unique(by digest)=${unique}${allStatuses ? " | all statuses" : ""}` +
+      (timeline ? ` | timeline=${timeline} (${from || "start"} → ${to || "now"})` : "")
+  );
+  const available = getMementoArchives();
+  const unknown = sources.filter((name) => !available.some((a) => a.name === name));
+  if (unknown.length) {
+    throw new Error(`Unknown archive(s): ${unknown.join(", ")} (available: ${available.map((a) => a.name).join(", ")})`);
+  }
+  const archives = available.filter((a) => sources.includes(a.name));
+  if (archives.length) console.log(`🗄️  Memento archives: ${archives.map((a) => a.label).join(", ")}`);
+  else if (cdxUrl !== DEFAULT_ARCHIVE.cdxUrl) console.log(`🗄️  Archive: ${cdxUrl} (replay: ${replayUrl})`);
+  const stamp = makeStamp(domain, `${unique ? "_unique" : ""}${timeline ? `_timeline-${timeline}` : ""}`);
+  const warc = exportWarc ? createWarcWriter(path.join(ensureOutDir(), `${stamp}.warc.gz`), { domain }) : null;
+  const result = await extractDomain(domain, {
+    n,
+    unique,
+    timeline,
+    from,
+    to,
+    allStatuses,
+    concurrency: concurrency || getConcurrency().snapshots,
+    cache: noCache ? false : defaultCache,
+    sources: archives.length ? archives : null,
+    warc,
+    onSnapshot: (snap) => {
+      if (snap.error) console.warn(`⚠️ Failed to parse ${snap.snapshot}: ${snap.error}`);
+    },
+  });
+  for (const s of result.sources || []) {
+    console.log(`  ${s.name}: ${s.error ? `⚠️ ${s.error.split("\n")[0]}` : `${s.captures} capture(s)`}`);
+  }
+  if (provider) await analyzeSnapshots(result, provider);
+  classifyDomain(result, { ruleset, customKeywords: keywords, profile, packs, autoPacks });
 
-  return { title, description, canonical, robots, og_title: ogTitle, og_description: ogDesc, h1_count };
+  if (!result.snapshots.length) {
+    console.log("No snapshots found for this domain with the current filters.");
+    return;
+  }
+  report(result, { provider, stamp, warc });
 }
 
-async function run(domain, n, unique) {
-  console.log(`🔎 Domain: ${domain} | N=${n} | unique(by digest)=${unique}`);
-  const rows = await getCdxRows(domain, n, unique);
-
-  if (!rows.length) {
-    console.log("No snapshots found for this domain with the current filters.");
+// Same pipeline on local WARC records: one report per host found in the file
+async function runWarc({ domain, n, timeline, from, to, rules, keywords, profile, packs, autoPacks, analyze, warc, allPages }) {
+  const ruleset = loadRules(rules);
+  const provider = loadProvider(analyze);
+  console.log(`📦 WARC: ${warc}${domain ? ` | domain=${domain}` : ""}${allPages ? " | all pages" : ""}`);
+  const results = importWarc(fs.readFileSync(warc), {
+    file: path.basename(warc),
+    domain,
+    allPages,
+    n,
+    timeline,
+    from,
+    to,
+  });
+  if (!results.length) {
+    console.log("No HTML response records found in this WARC with the current filters.");
     return;
   }
+  for (const result of results) {
+    console.log(`\n🔎 Domain: ${result.domain} | ${result.snapshots.length} capture(s)`);
+    if (provider) await analyzeSnapshots(result, provider);
+    classifyDomain(result, { ruleset, customKeywords: keywords, profile, packs, autoPacks });
+    report(result, { provider, stamp: makeStamp(result.domain, `_warc${timeline ? `_timeline-${timeline}` : ""}`) });
+  }
+  if (results.length > 1) reportClusters(clusterDomains(results));
+}
 
-  const out = [];
-  for (const row of rows) {
-    const snap = makeIdUrl(row.timestamp, row.original);
-    try {
-      const parsed = await extractFromSnapshot(snap);
-      out.push({
-        timestamp: row.timestamp,
-        snapshot: snap,
-        original: row.original,
-        status: row.statuscode,
-        length: row.length,
-        digest: row.digest,
-        title: parsed.title,
-        description: parsed.description,
-        canonical: parsed.canonical,
-        robots: parsed.robots,
-        og_title: parsed.og_title,
-        og_description: parsed.og_description,
-        h1_count: parsed.h1_count,
-      });
-    } catch (e) {
-      // Still push a row with error info, so CSV stays aligned
-      out.push({
-        timestamp: row.timestamp,
-        snapshot: snap,
-        original: row.original,
-        status: row.statuscode,
-        length: row.length,
-        digest: row.digest,
-        title: "",
-        description: "",
-        canonical: "",
-        robots: "",
-        og_title: "",
-        og_description: "",
-        h1_count: 0,
-        error: String(e.message || e),
-      });
-      console.warn(`⚠️ Failed to parse ${snap}: ${e.message || e}`);
-    }
-    // Be gentle with Wayback; small delay
-    await sleep(150);
+// ----------------------- output -----------------------
+function reportClusters(report) {
+  if (!report.clusters.length) return;
+  console.log(`\n🕸️ ${report.clustered}/${report.domains} domain(s) share footprints:`);
+  for (const cluster of report.clusters) {
+    console.log(`  #${cluster.id} ${cluster.domains.join(", ")}`);
+    for (const f of cluster.footprints) console.log(`    - ${f.type}: ${f.value} (${f.domains.join(", ")})`);
   }
+}
+
+function makeStamp(domain, suffix = "") {
+  return `${domain.replace(/[^a-z0-9.-]/gi, "_")}_${nowStamp()}${suffix}`;
+}
+
+function historyTitle(h) {
+  if (h.redirect_domain) return `→ ${h.redirect_domain}`;
+  if (typeof h.parked === "string") return `[parked${h.parked ? `: ${h.parked}` : ""}] ${h.title.slice(0, 70)}`;
+  return h.title.slice(0, 80);
+}
+
+function report(result, { provider, stamp, warc = null }) {
+  const out = result.snapshots;
 
   console.table(
     out.map((r) => ({
@@ -237,27 +368,155 @@ async function run(domain, n, unique) {
       title: r.title.slice(0, 120),
       status: r.status,
       length: r.length,
-      digest: r.digest.slice(0, 12) + "...",
+      digest: r.digest ? r.digest.slice(0, 12) + "..." : "",
+      ...(result.sources ? { source: r.source } : {}),
+      ...(result.redirects && out.some((s) => s.redirect_url) ? { redirect: r.redirect_domain || "" } : {}),
+      ...(out.some((s) => s.parking) ? { parked: r.parking ? r.parking.provider || "yes" : "" } : {}),
       h1_count: r.h1_count,
+      language: r.language || "",
+      drift: r.drift_score ?? "",
+      spam_score: r.spam.score,
+      ...(provider ? { category: r.category || "" } : {}),
     }))
   );
 
+  const verdict = result.spam;
+  console.log(
+    verdict.is_spam
+      ? `\n🚨 Spam: ${verdict.category} (score ${verdict.score} ≥ ${verdict.threshold})`
+      : `\n✅ Clean (score ${verdict.score} / ${verdict.threshold})`
+  );
+  if (verdict.profile) console.log(`  Keyword profile: ${verdict.profile}`);
+  if (verdict.packs && verdict.packs.length) console.log(`  Keyword packs: ${verdict.packs.join(", ")}`);
+  for (const m of verdict.matches) {
+    const where = m.timestamp ? `${m.field} @ ${m.timestamp}` : m.field;
+    console.log(`  - "${m.match}" [${m.rule}, +${m.weight}] in ${where}${m.suppressed_by ? " (suppressed)" : ""}`);
+  }
+  for (const a of verdict.allow) {
+    const outcome = verdict.suppressed ? ": verdict overridden" : verdict.allowed_but_matched ? ": name allowed, captures still spam" : "";
+    console.log(`  ✋ allow rule ${a.rule} matched "${a.match}" in ${a.field}${outcome}`);
+  }
+
+  const risk = result.domain_risk;
+  if (risk && risk.flags.length) {
+    console.log(
+      `\n🏷️ Domain name risk: ${risk.level} (score ${risk.score})` +
+        `${risk.idn ? `, IDN ${risk.unicode}` : ""}, words: ${risk.words.join(" ")}`
+    );
+    for (const f of risk.flags) console.log(`  - ${f.id} [+${f.weight}]: ${f.detail}`);
+  }
+
+  const compromised = result.compromised;
+  if (compromised && compromised.signals.length) {
+    console.log(
+      compromised.is_compromised
+        ? `\n🩹 Compromised: injected spam since ${compromised.first_seen.slice(0, 8)} (score ${compromised.score} ≥ ${compromised.threshold})`
+        : `\n🩹 Injection signals (score ${compromised.score} / ${compromised.threshold}${verdict.is_spam ? ", spam site" : ""})`
+    );
+    for (const s of compromised.signals) console.log(`  - ${s.id} @ ${s.timestamp}: ${s.detail}`);
+  }
+
+  if (result.language_changes && result.language_changes.length) {
+    console.log("\n🌐 Language changes:");
+    for (const c of result.language_changes) {
+      console.log(`  ${c.previous_timestamp.slice(0, 8)} → ${c.timestamp.slice(0, 8)}: ${c.from} → ${c.to}`);
+    }
+  }
+
+  if (result.topic_changes.length) {
+    console.log("\n🔀 Topic changes detected:");
+    for (const ev of result.topic_changes) {
+      console.log(
+        `  ${ev.timestamp.slice(0, 8)} (score ${ev.score}${ev.language_change ? ", language changed" : ""}): ` +
+          `"${ev.from_title.slice(0, 60)}" → "${ev.to_title.slice(0, 60)}"`
+      );
+    }
+  }
+
+  if (result.redirects && result.redirects.length) {
+    console.log("\n↪️ Redirected elsewhere:");
+    for (const p of result.redirects) {
+      console.log(
+        `  ${p.first_seen.slice(0, 8)} → ${p.last_seen.slice(0, 8)}: ${p.target_domain} ` +
+          `(${p.statuses.join("/")}, ${p.captures} capture(s))`
+      );
+    }
+  }
+
+  const parking = result.parking;
+  if (parking && parking.captures) {
+    console.log(
+      `\n🅿️ Parked${parking.for_sale ? " / for sale" : ""}: ${parking.captures} capture(s) ` +
+        `${parking.first_seen.slice(0, 8)} → ${parking.last_seen.slice(0, 8)}` +
+        `${parking.providers.length ? ` (${parking.providers.join(", ")})` : ""}, ignored in the verdicts`
+    );
+    console.log(`  Last real content: ${parking.last_content ? parking.last_content.slice(0, 8) : "none"}`);
+  }
+
+  const links = result.links;
+  if (links && links.links_external) {
+    console.log(
+      `\n🔗 Outbound links: ${links.links_external} external / ${links.links_internal} internal ` +
+        `(ratio ${links.external_ratio}), ${links.outbound_domains} linked domain(s)`
+    );
+    if (links.top_domains.length) {
+      console.log(`  Top linked: ${links.top_domains.slice(0, 5).map((d) => `${d.domain} (${d.links})`).join(", ")}`);
+    }
+    for (const a of links.money_anchors.slice(0, 5)) {
+      console.log(`  💰 "${a.anchor}" → ${a.domain} @ ${a.timestamp}${a.rel.length ? ` [${a.rel.join(" ")}]` : ""}`);
+    }
+    for (const flag of links.flags) console.log(`  ⚠️ ${flag.id}: ${flag.detail}`);
+    if (links.link_selling) console.log("  🚩 Link selling / PBN footprint");
+  }
+
+  if (result.history) {
+    console.log("\n🕰️ Title/description history:");
+    console.table(
+      result.history.map((h) => ({
+        from: h.first_seen.slice(0, 8),
+        to: h.last_seen.slice(0, 8),
+        captures: h.captures,
+        title: historyTitle(h),
+        description: h.description.slice(0, 60),
+      }))
+    );
+  }
+
   const outDir = ensureOutDir();
-  const stamp = `${domain.replace(/[^a-z0-9.-]/gi, "_")}_${nowStamp()}${unique ? "_unique" : ""}`;
   const jsonPath = path.join(outDir, `${stamp}.json`);
   const csvPath = path.join(outDir, `${stamp}.csv`);
 
-  fs.writeFileSync(jsonPath, JSON.stringify(out, null, 2), "utf8");
-  fs.writeFileSync(csvPath, toCSV(out), "utf8");
+  fs.writeFileSync(jsonPath, JSON.stringify(result, null, 2), "utf8");
+  fs.writeFileSync(
+    csvPath,
+    toCSV(
+      out.map(({ spam, ...r }) => ({
+        ...r,
+        // One cell per list field
+        hreflang: r.hreflang.map((h) => `${h.lang}:${h.href}`).join(" "),
+        h1: r.h1.join(" | "),
+        h2: r.h2.join(" | "),
+        jsonld_types: r.jsonld_types.join(" "),
+        outbound_links: [...new Set(r.outbound_links.map((l) => l.domain))].join(" "),
+        tracking_ids: r.tracking_ids.join(" "),
+        scripts: Object.entries(r.scripts).map(([name, share]) => `${name}:${share}`).join(" "),
+        hidden_links: [...new Set(r.hidden_links.map((l) => l.domain))].join(" "),
+        parking: r.parking ? r.parking.provider || "parked" : "",
+        spam_score: spam.score,
+        spam_rules: spam.matches.map((m) => m.rule).join(" "),
+      }))
+    ),
+    "utf8"
+  );
 
   console.log("\n📄 Files written:");
   console.log("JSON:", jsonPath);
   console.log("CSV :", csvPath);
+  if (warc) console.log(`WARC: ${warc.file} (${warc.records} record(s))`);
 }
 
 // ----------------------- entrypoint -----------------------
-const { domain, n, unique } = parseArgs(process.argv);
-run(domain, n, unique).catch((e) => {
+run(parseArgs(process.argv)).catch((e) => {
   console.error("💥 Fatal error:", e);
   process.exit(1);
 });
\ No newline at end of file